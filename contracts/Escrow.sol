@@ -1,117 +1,52 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.20;
+pragma solidity ^0.8.24;
 
 import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import {IERC721Receiver} from "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
-import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IERC1155Receiver} from "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import {IERC165} from "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import {EscrowBase} from "./EscrowBase.sol";
+import {EscrowExtension} from "./EscrowExtension.sol";
+import {EscrowAssets} from "./EscrowAssets.sol";
 
 /**
- * @title PayTo-escrow for ERC-721 (OpenZeppelin Contracts v5.x)
- * @notice Escrows an ERC-721 from Seller -> (escrow) -> Buyer, releasing upon off-chain PayTo payment confirmation.
+ * @title PayTo-escrow for ERC-721 and ERC-1155 (OpenZeppelin Contracts v5.x)
+ * @notice Escrows an ERC-721, or a bundle of ERC-721 and ERC-1155 items, from Seller -> (escrow) -> Buyer,
+ * releasing upon off-chain PayTo payment confirmation.
  * @dev The contract emits events to drive an off-chain relayer that integrates with QuickStream PayTo APIs.
+ * Deployed behind an ERC-1967 proxy (UUPS); upgrades are authorised by DEFAULT_ADMIN_ROLE. New state
+ * variables must only be appended in EscrowBase so in-flight deals survive an upgrade.
+ * This contract holds the deal lifecycle; failure reports, retries, disputes and admin settings live in
+ * EscrowExtension, which the fallback runs via DELEGATECALL to stay under the contract size limit. The
+ * extension's own fallback runs the views in EscrowViews the same way.
  */
-contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
-    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
-    // Default timeouts (can be adjusted per deal if needed)
-    uint256 public constant DEFAULT_AGREEMENT_TIMEOUT = 7 days;
-    uint256 public constant DEFAULT_PAYMENT_TIMEOUT = 30 days;
-    
-    enum State {
-        None,
-        Opened,
-        NftDeposited,
-        AgreementConfirmed,
-        Paid,
-        Cancelled,
-        Refunded
-    }
-
-    struct Deal {
-        address seller;
-        address buyer;
-        address nft;
-        uint256 tokenId;
-        uint256 priceCents;           // informational metadata (AUD cents)
-        bytes32 correlationIdHash;    // keccak256(correlationIdRaw)
-        bytes32 agreementTokenHash;   // keccak256(agreementToken)
-        uint64 depositTimestamp;      // when NFT was deposited
-        uint64 agreementTimestamp;    // when agreement was confirmed
-        State state;
+contract Escrow is EscrowBase, IERC721Receiver, IERC1155Receiver, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
 
-    uint256 private _nextId;
-    mapping(uint256 => Deal) private _deals;
-    
-    event EscrowOpened(
-        uint256 indexed id,
-        address indexed seller,
-        address indexed buyer,
-        address nft,
-        uint256 tokenId,
-        uint256 priceCents,
-        string correlationIdRaw,
-        bytes32 correlationIdHash
-    );
-    event NftDeposited(
-        uint256 indexed id,
-        address indexed nft,
-        uint256 indexed tokenId
-    );
-    event PayToAgreementRequested(
-        uint256 indexed id,
-        string correlationIdRaw,
-        bytes32 correlationIdHash
-    );
-    event AgreementConfirmed(
-        uint256 indexed id,
-        string agreementToken,
-        bytes32 agreementTokenHash
-    );
-    event PayToPaymentRequested(
-        uint256 indexed id,
-        string correlationIdRaw,
-        bytes32 correlationIdHash,
-        string agreementToken
-    );
-    event PaymentConfirmed(
-        uint256 indexed id,
-        string receiptReference,
-        uint256 amountCents,
-        string currency
-    );
-    event NftReleased(uint256 indexed id, address indexed to);
-    event EscrowCancelled(uint256 indexed id);
-    event NftRefunded(uint256 indexed id, address indexed to);
-
-    error NotSeller();
-    error NotSellerOrAdmin();
-    error WrongState(State required, State current);
-    error InvalidNFT();
-    error ZeroAddress();
-    error NotApproved();
-    error InvalidPrice();
-    error EmptyString();
-    error TimeoutNotReached();
-    error MismatchedCorrelation();
-    error PaymentAmountMismatch(uint256 expected, uint256 received); 
-    error DealNotFound(uint256 id); 
-
-    // New Modifier
-    modifier dealExists(uint256 id) {
-        if (_deals[id].state == State.None) revert DealNotFound(id);
-        _;
-    }
+    /// @notice Called once through the proxy; the caller becomes admin.
+    /// @param extensionImpl Deployed EscrowExtension serving the functions not defined here.
+    function initialize(address operator, address extensionImpl) external initializer {
+        __AccessControl_init();
+        __EIP712_init("Escrow", "1");
 
-    constructor(address operator) {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         if (operator != address(0)) {
             _grantRole(OPERATOR_ROLE, operator);
         }
+        paymentQuorum = 1;
+        minTimeout = 1 hours;
+        maxTimeout = 180 days;
+        _setExtension(extensionImpl);
     }
 
     /**
-     * @notice Open a new escrow.
+     * @notice Open a new escrow with the default timeouts.
      * Must be called by Seller (msg.sender).
      */
     function openEscrow(
@@ -120,26 +55,107 @@ contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
         uint256 tokenId,
         uint256 priceCents,
         string calldata correlationIdRaw
-    ) external returns (uint256 id) {
-        if (buyer == address(0) || nft == address(0)) revert ZeroAddress();
+    ) external whenNotPaused(PAUSE_OPEN) returns (uint256 id) {
+        if (nft == address(0)) revert ZeroAddress();
+        return _openEscrow(buyer, nft, tokenId, priceCents, correlationIdRaw, DealOptions(0, 0, 0, 0, 0, 0, false, false, false));
+    }
+
+    /**
+     * @notice Open a new escrow with per-deal options.
+     * @dev Non-zero timeouts must lie within [minTimeout, maxTimeout]. With more than one
+     * instalment the price is split evenly (the last instalment takes the remainder) and
+     * each instalment falls due `instalmentInterval` after the previous one. `priceCents` is in
+     * minor units of `currency`, which every payment confirmation must match. A non-zero
+     * `depositDeadline` must be in the future; after it the deal can no longer be deposited.
+     * With `requireBuyerAcceptance`, the PayTo agreement is only requested once the buyer has
+     * called acceptDeal. With `claimRelease`, the paid NFT waits for the buyer's claim.
+     */
+    function openEscrow(
+        address buyer,
+        address nft,
+        uint256 tokenId,
+        uint256 priceCents,
+        string calldata correlationIdRaw,
+        DealOptions calldata options
+    ) external whenNotPaused(PAUSE_OPEN) returns (uint256 id) {
+        if (nft == address(0)) revert ZeroAddress();
+        return _openEscrow(buyer, nft, tokenId, priceCents, correlationIdRaw, options);
+    }
+
+    /**
+     * @notice Open an escrow for a bundle of ERC-721 tokens and ERC-1155 `(id, amount)` lots
+     * (at most 50 items), deposited, released and refunded as one package.
+     * @dev Otherwise like openEscrow with options. The deal's `nft` and `tokenId` are zero;
+     * the items are returned by getBundle.
+     */
+    function openBundleEscrow(
+        address buyer,
+        EscrowAssets.Item[] calldata items,
+        uint256 priceCents,
+        string calldata correlationIdRaw,
+        DealOptions calldata options
+    ) external whenNotPaused(PAUSE_OPEN) returns (uint256 id) {
+        id = _openEscrow(buyer, address(0), 0, priceCents, correlationIdRaw, options);
+        EscrowAssets.store(_bundles[id], items);
+        for (uint256 i = 0; i < items.length; i++) {
+            _tokenDeals[keccak256(abi.encode(items[i].token, items[i].id))].push(id);
+        }
+        emit BundleOpened(id, items);
+    }
+
+    function _openEscrow(
+        address buyer,
+        address nft,
+        uint256 tokenId,
+        uint256 priceCents,
+        string calldata correlationIdRaw,
+        DealOptions memory options
+    ) private returns (uint256 id) {
+        if (buyer == address(0)) revert ZeroAddress();
         if (priceCents == 0) revert InvalidPrice();
         if (bytes(correlationIdRaw).length == 0) revert EmptyString();
-        
+        if (options.depositDeadline != 0 && options.depositDeadline <= block.timestamp) {
+            revert InvalidDepositDeadline(options.depositDeadline);
+        }
+        bytes32 correlationIdHash = keccak256(bytes(correlationIdRaw));
+        uint256 activeId = _activeCorrelations[correlationIdHash];
+        if (activeId != 0) {
+            // An offer past its deposit deadline gives the id up without waiting for markExpired
+            if (!_depositDeadlinePassed(_deals[activeId])) revert CorrelationIdInUse(activeId);
+            _expire(activeId, _deals[activeId]);
+        }
+
         id = ++_nextId;
-        bytes32 chash = keccak256(bytes(correlationIdRaw));
-        _deals[id] = Deal({
-            seller: msg.sender,
-            buyer: buyer,
-            nft: nft,
-            tokenId: tokenId,
-            priceCents: priceCents,
-            correlationIdHash: chash,
-            agreementTokenHash: bytes32(0),
-       
-            depositTimestamp: 0,
-            agreementTimestamp: 0,
-            state: State.Opened
-        });
+        _activeCorrelations[correlationIdHash] = id;
+        Deal storage d = _deals[id];
+        d.seller = msg.sender;
+        d.buyer = buyer;
+        d.nft = nft;
+        d.tokenId = tokenId;
+        d.priceCents = priceCents;
+        d.correlationIdHash = correlationIdHash;
+        d.agreementTimeout = _timeoutOrDefault(options.agreementTimeout, DEFAULT_AGREEMENT_TIMEOUT);
+        d.paymentTimeout = _timeoutOrDefault(options.paymentTimeout, DEFAULT_PAYMENT_TIMEOUT);
+        d.currency = _currencyOrDefault(options.currency);
+        d.depositDeadline = options.depositDeadline;
+        d.buyerAcceptanceRequired = options.requireBuyerAcceptance;
+        d.claimRelease = options.claimRelease;
+        d.hashOnly = options.hashOnly;
+        _requireCommitment(d, correlationIdRaw);
+        _setState(id, d, State.Opened);
+        _sellerDeals[msg.sender].push(id);
+        _buyerDeals[buyer].push(id);
+        if (nft != address(0)) _tokenDeals[keccak256(abi.encode(nft, tokenId))].push(id);
+
+        if (options.instalments > 1) {
+            if (options.instalmentInterval == 0 || priceCents < options.instalments) revert InvalidInstalments();
+            InstalmentPlan storage p = _plans[id];
+            p.count = options.instalments;
+            p.interval = options.instalmentInterval;
+            p.correlationIdRaw = correlationIdRaw;
+            emit InstalmentPlanCreated(id, options.instalments, options.instalmentInterval);
+        }
+
         emit EscrowOpened(
             id,
             msg.sender,
@@ -148,50 +164,119 @@ contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
             tokenId,
             priceCents,
             correlationIdRaw,
-            chash
+            d.correlationIdHash,
+            d.agreementTimeout,
+            d.paymentTimeout,
+            d.currency
         );
+
+        // The royalty lookup lives in the extension, reached through the fallback
+        EscrowExtension(address(this)).splitPayout(id);
+    }
+
+    // Three upper-case ASCII letters, as in ISO-4217
+    function _currencyOrDefault(bytes3 currency) private pure returns (bytes3) {
+        if (currency == 0) return DEFAULT_CURRENCY;
+        for (uint256 i = 0; i < 3; i++) {
+            if (currency[i] < "A" || currency[i] > "Z") revert InvalidCurrency(currency);
+        }
+        return currency;
+    }
+
+    function _timeoutOrDefault(uint64 timeout, uint256 defaultTimeout) private view returns (uint64) {
+        if (timeout == 0) return uint64(defaultTimeout);
+        if (timeout < minTimeout || timeout > maxTimeout) revert TimeoutOutOfRange(timeout, minTimeout, maxTimeout);
+        return timeout;
     }
 
     /**
-     * @notice Seller deposits the NFT into escrow (requires prior approval on the NFT contract).
-     * Emits PayToAgreementRequested for the relayer to create a PayTo Agreement.
+     * @notice Seller deposits the NFT into escrow (requires prior approval on the NFT contract)
+     * before the deal's deposit deadline, if it has one.
+     * Emits PayToAgreementRequested for the relayer to create a PayTo Agreement, unless the deal
+     * still waits for the buyer to accept it.
      */
     function depositNFT(
         uint256 id, 
         string calldata correlationIdRaw
-    ) external dealExists(id) { 
+    ) external whenNotPaused(PAUSE_DEPOSIT) nonReentrant dealExists(id) { 
         Deal storage d = _deals[id];
+        _checkDeposit(d, msg.sender, correlationIdRaw);
+        
+        if (d.nft == address(0)) {
+            // Bundle: every item moves in, or the deposit reverts
+            EscrowAssets.deposit(_bundles[id], msg.sender);
+        } else {
+            // Cache interface for gas optimization
+            IERC721 nftContract = IERC721(d.nft); 
+            if (nftContract.ownerOf(d.tokenId) != msg.sender) revert InvalidNFT();
+            if (nftContract.getApproved(d.tokenId) != address(this)) revert NotApproved();
+
+            nftContract.safeTransferFrom(msg.sender, address(this), d.tokenId);
+        }
+        _recordDeposit(id, d, correlationIdRaw);
+    }
+
+    function _checkDeposit(Deal storage d, address seller, string memory correlationIdRaw) private view {
         if (d.state != State.Opened) revert WrongState(State.Opened, d.state);
-        if (msg.sender != d.seller) revert NotSeller();
+        if (seller != d.seller) revert NotSeller();
+        if (_depositDeadlinePassed(d)) revert DepositDeadlinePassed(d.depositDeadline);
         
         // Verify correlation ID matches
         if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
-        
-        // Cache interface for gas optimization
-        IERC721 nftContract = IERC721(d.nft); 
-        if (nftContract.ownerOf(d.tokenId) != msg.sender) revert InvalidNFT();
-        if (nftContract.getApproved(d.tokenId) != address(this)) revert NotApproved();
+    }
 
-        nftContract.safeTransferFrom(msg.sender, address(this), d.tokenId);
+    function _recordDeposit(uint256 id, Deal storage d, string memory correlationIdRaw) private {
         d.depositTimestamp = uint64(block.timestamp);
-        d.state = State.NftDeposited;
+        _setState(id, d, State.NftDeposited);
         
         emit NftDeposited(id, d.nft, d.tokenId);
-        emit PayToAgreementRequested(id, correlationIdRaw, d.correlationIdHash);
+        if (!_awaitingBuyer(d)) emit PayToAgreementRequested(id, correlationIdRaw, d.correlationIdHash);
     }
 
     /**
      * @notice Called by OPERATOR when PayTo Agreement is confirmed off-chain.
-     * Stores the hash of agreementToken and emits PayToPaymentRequested.
+     * Stores the hash of agreementToken and emits PayToPaymentRequested for the first payment.
      */
     function confirmAgreement(
         uint256 id,
         string calldata correlationIdRaw,
         string calldata agreementToken
-    ) external onlyRole(OPERATOR_ROLE) dealExists(id) { 
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) { 
+        _confirmAgreement(id, correlationIdRaw, agreementToken);
+    }
+
+    /**
+     * @notice Relays an OPERATOR-signed AgreementAttestation; callable by any account.
+     * @dev Same effect as confirmAgreement. Each (signer, nonce) pair can be used once.
+     */
+    function confirmAgreementWithSig(
+        AgreementAttestation calldata attestation,
+        bytes calldata signature
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(attestation.id) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                AGREEMENT_ATTESTATION_TYPEHASH,
+                attestation.id,
+                keccak256(bytes(attestation.correlationId)),
+                keccak256(bytes(attestation.agreementToken)),
+                attestation.nonce,
+                attestation.deadline
+            )
+        );
+        _useAttestation(structHash, attestation.nonce, attestation.deadline, signature);
+        _confirmAgreement(attestation.id, attestation.correlationId, attestation.agreementToken);
+    }
+
+    function _confirmAgreement(
+        uint256 id,
+        string calldata correlationIdRaw,
+        string calldata agreementToken
+    ) private {
         Deal storage d = _deals[id];
         if (d.state != State.NftDeposited) revert WrongState(State.NftDeposited, d.state);
+        if (_awaitingBuyer(d)) revert BuyerNotAccepted();
         if (bytes(agreementToken).length == 0) revert EmptyString();
+        _requireCommitment(d, agreementToken);
         
         // Verify correlation ID matches
         if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
@@ -199,44 +284,114 @@ contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
         bytes32 tokenHash = keccak256(bytes(agreementToken));
         d.agreementTokenHash = tokenHash;
         d.agreementTimestamp = uint64(block.timestamp);
-        d.state = State.AgreementConfirmed;
+        _setState(id, d, State.AgreementConfirmed);
+
+        InstalmentPlan storage p = _plans[id];
+        if (p.count > 0) {
+            p.agreementToken = agreementToken;
+            p.nextDueTimestamp = uint64(block.timestamp);
+        }
 
         emit AgreementConfirmed(id, agreementToken, tokenHash);
-        emit PayToPaymentRequested(id, correlationIdRaw, d.correlationIdHash, agreementToken);
+        _requestPayment(id, d, correlationIdRaw, agreementToken);
     }
 
     /**
      * @notice Called by OPERATOR when the PayTo payment has been confirmed off-chain.
-     * @dev Payment amount is validated against the agreed price.
-     * Releases the NFT to the buyer upon successful payment confirmation.
+     * @dev Payment amount is validated against the amount due (the price, or the current instalment).
+     * Releases the NFT to the buyer once the full price has been paid, or with a settlementWindow moves
+     * the deal to PaidPendingRelease; otherwise requests the next instalment.
+     * With a paymentQuorum above 1 this records a vote and the payment is only accepted once that many
+     * distinct operators confirmed the same receipt reference, amount and currency.
      */
     function confirmPayment(
         uint256 id,
         string calldata receiptReference,
         uint256 amountCents,
         string calldata currency
-    ) external onlyRole(OPERATOR_ROLE) nonReentrant dealExists(id) { 
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused(PAUSE_CONFIRMATIONS) nonReentrant dealExists(id) { 
+        _confirmPayment(id, receiptReference, amountCents, currency, msg.sender);
+    }
+
+    /**
+     * @notice Relays an OPERATOR-signed PaymentAttestation; callable by any account.
+     * @dev Same effect as confirmPayment. Each (signer, nonce) pair can be used once.
+     */
+    function confirmPaymentWithSig(
+        PaymentAttestation calldata attestation,
+        bytes calldata signature
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) nonReentrant dealExists(attestation.id) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PAYMENT_ATTESTATION_TYPEHASH,
+                attestation.id,
+                keccak256(bytes(attestation.receiptReference)),
+                attestation.amountCents,
+                keccak256(bytes(attestation.currency)),
+                attestation.nonce,
+                attestation.deadline
+            )
+        );
+        address signer = _useAttestation(structHash, attestation.nonce, attestation.deadline, signature);
+        _confirmPayment(
+            attestation.id,
+            attestation.receiptReference,
+            attestation.amountCents,
+            attestation.currency,
+            signer
+        );
+    }
+
+    function _confirmPayment(
+        uint256 id,
+        string calldata receiptReference,
+        uint256 amountCents,
+        string calldata currency,
+        address operator
+    ) private {
         Deal storage d = _deals[id];
         
         // CHECK
         if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+        if (d.suspendedAt != 0) revert AgreementNotActive();
         if (bytes(receiptReference).length == 0 || bytes(currency).length == 0) revert EmptyString();
+        _requireCommitment(d, receiptReference);
+        if (bytes(currency).length != 3 || bytes3(bytes(currency)) != d.currency) {
+            revert CurrencyMismatch(d.currency, currency);
+        }
         
-        // Validate payment amount matches agreed price
-        if (amountCents != d.priceCents) {
-            revert PaymentAmountMismatch(d.priceCents, amountCents);
+        // Validate payment amount matches the amount due
+        uint256 due = _amountDue(id, d);
+        if (amountCents != due) {
+            revert PaymentAmountMismatch(due, amountCents);
+        }
+
+        if (paymentQuorum > 1 && !_voteForPayment(id, operator, _paymentDigest(receiptReference, amountCents, currency))) {
+            return;
         }
 
-        // EFFECTS (State change and all events before external call)
-        d.state = State.Paid;
-        
         emit PaymentConfirmed(id, receiptReference, amountCents, currency);
-        
-        // INTERACTION (External call)
-        // Cache interface for gas optimization
-        IERC721(d.nft).safeTransferFrom(address(this), d.buyer, d.tokenId); 
-        
-        emit NftReleased(id, d.buyer);
+
+        InstalmentPlan storage p = _plans[id];
+        if (p.count > 0) {
+            p.paid += 1;
+            p.paidCents += amountCents;
+            if (p.paid < p.count) {
+                p.nextDueTimestamp += p.interval;
+                _requestPayment(id, d, p.correlationIdRaw, p.agreementToken);
+                return;
+            }
+        }
+
+        if (settlementWindow > 0) {
+            // Held while the payment can still be recalled; finalizeRelease completes the deal
+            d.releaseTimestamp = uint64(block.timestamp) + settlementWindow;
+            _setState(id, d, State.PaidPendingRelease);
+            emit ReleasePending(id, d.releaseTimestamp);
+            return;
+        }
+        _payoutInstruction(id, d);
+        _release(id, d);
     }
 
     /**
@@ -249,13 +404,14 @@ contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
             revert NotSellerOrAdmin();
         }
         
-        d.state = State.Cancelled;
+        _setState(id, d, State.Cancelled);
         emit EscrowCancelled(id);
     }
 
     /**
      * @notice Allows seller to reclaim NFT if agreement not confirmed within timeout.
      * Or if payment not confirmed within timeout after agreement.
+     * A Failed deal can be reclaimed immediately.
      */
     function refundNFT(uint256 id) external nonReentrant dealExists(id) { 
         Deal storage d = _deals[id];
@@ -266,83 +422,149 @@ contract Escrow is AccessControl, IERC721Receiver, ReentrancyGuard {
         // Check if refund is allowed based on state and timeouts
         if (d.state == State.NftDeposited) {
             // Agreement timeout
-            if (block.timestamp < d.depositTimestamp + DEFAULT_AGREEMENT_TIMEOUT) {
+            if (block.timestamp < d.depositTimestamp + d.agreementTimeout) {
                 revert TimeoutNotReached();
             }
         } else if (d.state == State.AgreementConfirmed) {
-            // Payment timeout
-            if (block.timestamp < d.agreementTimestamp + DEFAULT_PAYMENT_TIMEOUT) {
+            // Payment timeout (for instalment deals, measured from the overdue instalment)
+            if (!_paymentTimedOut(id, d)) {
                 revert TimeoutNotReached();
             }
-        } else {
-            // Revert if not in a state where refund is possible (NftDeposited or AgreementConfirmed)
+        } else if (d.state != State.Failed) {
+            // Revert if not in a state where refund is possible (NftDeposited, AgreementConfirmed or Failed)
             revert WrongState(State.NftDeposited, d.state);
         }
 
-        d.state = State.Refunded;
-        
-        // Cache interface for gas optimization
-        IERC721(d.nft).safeTransferFrom(address(this), d.seller, d.tokenId); 
-        emit NftRefunded(id, d.seller);
+        _setState(id, d, State.Refunded);
+        _returnToSeller(id, d);
     }
 
-    /**
-     * @notice Emergency admin function to cancel and refund NFT if deposited.
-     * @dev Can be used in Opened, NftDeposited, or AgreementConfirmed states.
-     * Returns NFT only if it was actually deposited.
-     */
-    function emergencyRefund(
-        uint256 id
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant dealExists(id) { 
-        Deal storage d = _deals[id];
-        
-        // Cannot emergency refund if already in a final state
-        if (d.state == State.Paid || d.state == State.Refunded || d.state == State.Cancelled) {
-            revert WrongState(State.Opened, d.state); 
-        }
-        
-        State oldState = d.state;
-        d.state = State.Refunded;
-        
-        // Only transfer NFT if it was actually deposited
-        if (oldState == State.NftDeposited || oldState == State.AgreementConfirmed) {
-            // Cache interface for gas optimization
-            IERC721(d.nft).safeTransferFrom(address(this), d.seller, d.tokenId); 
-            emit NftRefunded(id, d.seller);
+    // -------- Internal -------- //
+
+    // Checks deadline, OPERATOR signer and nonce, then burns the nonce
+    function _useAttestation(
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) private returns (address signer) {
+        if (block.timestamp > deadline) revert ExpiredAttestation(deadline);
+        signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        if (!hasRole(OPERATOR_ROLE, signer)) revert InvalidAttestationSigner(signer);
+        if (_usedNonces[signer][nonce]) revert NonceAlreadyUsed(signer, nonce);
+        _usedNonces[signer][nonce] = true;
+    }
+
+    // Records one operator's vote; true once `digest` has reached the quorum, which closes the round
+    function _voteForPayment(uint256 id, address operator, bytes32 digest) private returns (bool) {
+        bytes32 round = _roundKey(id);
+        if (_voted[round][operator]) revert AlreadyConfirmed(operator);
+        _voted[round][operator] = true;
+
+        bytes32 expected = _firstDigest[round];
+        if (expected == bytes32(0)) {
+            _firstDigest[round] = digest;
+        } else if (expected != digest) {
+            emit PaymentConfirmationConflict(id, operator, expected, digest);
         }
-        
-        emit EscrowCancelled(id);
+
+        uint256 votes = ++_votes[keccak256(abi.encode(round, digest))];
+        emit PaymentConfirmationVoted(id, operator, digest, votes);
+        if (votes < paymentQuorum) return false;
+
+        _paymentRounds[id] += 1;
+        return true;
     }
 
-    // -------- Views -------- //
-    
-    function getDeal(uint256 id) external view returns (Deal memory) {
-        return _deals[id];
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    function _setExtension(address extensionImpl) private {
+        if (extensionImpl.code.length == 0) revert InvalidExtension(extensionImpl);
+        extension = extensionImpl;
+        emit ExtensionUpdated(extensionImpl);
     }
-    
-    function nextId() external view returns (uint256) {
-        return _nextId + 1;
+
+    // -------- Extension -------- //
+
+    /**
+     * @notice Point the fallback at a new EscrowExtension, normally in the same
+     * transaction as the upgrade that requires it.
+     */
+    function setExtension(address extensionImpl) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setExtension(extensionImpl);
     }
-    
-    function canRefund(uint256 id) external view returns (bool) {
-        Deal storage d = _deals[id];
-        if (d.state == State.NftDeposited) {
-            return block.timestamp >= d.depositTimestamp + DEFAULT_AGREEMENT_TIMEOUT;
-        } else if (d.state == State.AgreementConfirmed) {
-            return block.timestamp >= d.agreementTimestamp + DEFAULT_PAYMENT_TIMEOUT;
+
+    /// @dev Runs any other selector on EscrowExtension, passing its return data or revert reason through.
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    fallback() external {
+        address impl = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), impl, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch ok
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
         }
-        
-        return false;
     }
 
-    // -------- ERC721 Receiver -------- //
+    // -------- Token Receivers -------- //
     
+    /**
+     * @notice Seller deposits in one transaction, without an approval, with
+     * `safeTransferFrom(seller, escrow, tokenId, abi.encode(id, correlationIdRaw))`.
+     * @dev Any other transfer into the escrow reverts, except the escrow's own pull in depositNFT.
+     */
     function onERC721Received(
-        address,
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes calldata data
+    ) external override returns (bytes4) {
+        if (operator != address(this)) {
+            if (data.length == 0) revert UnsolicitedTransfer();
+            if (pausedFlags & PAUSE_DEPOSIT != 0) revert FunctionPaused(PAUSE_DEPOSIT);
+            (uint256 id, string memory correlationIdRaw) = abi.decode(data, (uint256, string));
+            Deal storage d = _deals[id];
+            _checkDeposit(d, from, correlationIdRaw);
+            // Only the deal's NFT contract, having already moved the token here, can complete the deposit
+            if (d.nft != msg.sender || d.tokenId != tokenId || IERC721(msg.sender).ownerOf(tokenId) != address(this)) {
+                revert InvalidNFT();
+            }
+            _recordDeposit(id, d, correlationIdRaw);
+        }
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /// @dev ERC-1155 lots are only accepted from the escrow's own bundle deposits.
+    function onERC1155Received(
+        address operator,
         address,
         uint256,
+        uint256,
         bytes calldata
-    ) external pure override returns (bytes4) {
-        return IERC721Receiver.onERC721Received.selector;
+    ) external view override returns (bytes4) {
+        if (operator != address(this)) revert UnsolicitedTransfer();
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address operator,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external view override returns (bytes4) {
+        if (operator != address(this)) revert UnsolicitedTransfer();
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(AccessControlUpgradeable, IERC165) returns (bool) {
+        return
+            interfaceId == type(IERC721Receiver).interfaceId ||
+            interfaceId == type(IERC1155Receiver).interfaceId ||
+            super.supportsInterface(interfaceId);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC1155} from "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+
+/**
+ * @title Bundle items held by Escrow
+ * @notice Stores and moves the ERC-721 tokens and ERC-1155 lots of a bundle deal as one package.
+ * @dev Internal library; `address(this)` is the escrow.
+ */
+library EscrowAssets {
+    enum Standard {
+        ERC721,
+        ERC1155
+    }
+
+    struct Item {
+        Standard standard;
+        address token;
+        uint256 id;
+        uint256 amount;               // 1 for ERC-721
+    }
+
+    uint256 internal constant MAX_ITEMS = 50;
+
+    error InvalidBundle(uint256 index);
+
+    /// @notice Validate `items` and copy them into `bundle`; each (token, id) may appear only once.
+    function store(Item[] storage bundle, Item[] calldata items) internal {
+        if (items.length == 0 || items.length > MAX_ITEMS) revert InvalidBundle(items.length);
+        for (uint256 i = 0; i < items.length; i++) {
+            Item calldata item = items[i];
+            if (
+                item.token == address(0) ||
+                (item.standard == Standard.ERC721 ? item.amount != 1 : item.amount == 0)
+            ) revert InvalidBundle(i);
+            for (uint256 j = 0; j < i; j++) {
+                if (items[j].token == item.token && items[j].id == item.id) revert InvalidBundle(i);
+            }
+            bundle.push(item);
+        }
+    }
+
+    /// @notice Move every item from `from` into the escrow; reverts unless the escrow is approved for all of them.
+    function deposit(Item[] storage bundle, address from) internal {
+        _transferAll(bundle, from, address(this));
+    }
+
+    /// @notice Move every item out of the escrow to `to`.
+    function transferOut(Item[] storage bundle, address to) internal {
+        _transferAll(bundle, address(this), to);
+    }
+
+    function _transferAll(Item[] storage bundle, address from, address to) private {
+        for (uint256 i = 0; i < bundle.length; i++) {
+            Item storage item = bundle[i];
+            if (item.standard == Standard.ERC721) {
+                IERC721(item.token).safeTransferFrom(from, to, item.id);
+            } else {
+                IERC1155(item.token).safeTransferFrom(from, to, item.id, item.amount, "");
+            }
+        }
+    }
+}
@@ -0,0 +1,536 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {AccessControlUpgradeable} from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import {ReentrancyGuardTransient} from "@openzeppelin/contracts/utils/ReentrancyGuardTransient.sol";
+import {EIP712Upgradeable} from "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import {EscrowAssets} from "./EscrowAssets.sol";
+
+/**
+ * @title Shared state of Escrow and EscrowExtension
+ * @notice Types, storage, events and errors of the PayTo escrow, plus the helpers both halves use.
+ * @dev Escrow and EscrowExtension run against the same proxy storage, so neither may declare
+ * state variables of its own: new state is appended here, after the existing variables.
+ */
+abstract contract EscrowBase is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardTransient,
+    EIP712Upgradeable
+{
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Pause flags, combinable; refunds, cancellations and disputes are never paused
+    uint8 public constant PAUSE_OPEN = 1;           // openEscrow
+    uint8 public constant PAUSE_DEPOSIT = 2;        // depositNFT
+    uint8 public constant PAUSE_CONFIRMATIONS = 4;  // confirmAgreement / confirmPayment (incl. WithSig) and what re-requests PayTo
+    uint8 public constant PAUSE_ALL = PAUSE_OPEN | PAUSE_DEPOSIT | PAUSE_CONFIRMATIONS;
+    // EIP-712 string members are signed as their keccak256, i.e. the correlation/agreement token hashes
+    bytes32 public constant AGREEMENT_ATTESTATION_TYPEHASH = keccak256(
+        "AgreementAttestation(uint256 id,string correlationId,string agreementToken,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant PAYMENT_ATTESTATION_TYPEHASH = keccak256(
+        "PaymentAttestation(uint256 id,string receiptReference,uint256 amountCents,string currency,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant PRICE_AMENDMENT_TYPEHASH = keccak256(
+        "PriceAmendment(uint256 id,string correlationId,uint256 priceCents,uint256 nonce,uint256 deadline)"
+    );
+    // Default timeouts, used when a deal is opened without its own
+    uint256 public constant DEFAULT_AGREEMENT_TIMEOUT = 7 days;
+    uint256 public constant DEFAULT_PAYMENT_TIMEOUT = 30 days;
+    bytes3 public constant DEFAULT_CURRENCY = "AUD";
+    uint16 public constant MAX_PLATFORM_FEE_BPS = 1_000; // 10%
+    // Gas a release must have left per NFT or bundle item before pushing it to the buyer
+    uint256 public constant RELEASE_GAS_PER_ITEM = 100_000;
+
+    enum State {
+        None,
+        Opened,
+        NftDeposited,
+        AgreementConfirmed,
+        Paid,
+        Cancelled,
+        Refunded,
+        Failed,
+        Disputed,
+        Expired,
+        PaidPendingRelease
+    }
+
+    enum DisputeOutcome {
+        ReleaseToBuyer,
+        ReturnToSeller
+    }
+
+    struct Deal {
+        address seller;
+        address buyer;
+        address nft;
+        uint256 tokenId;
+        uint256 priceCents;           // minor units (cents) of `currency`
+        bytes32 correlationIdHash;    // keccak256(correlationIdRaw)
+        bytes32 agreementTokenHash;   // keccak256(agreementToken)
+        uint64 depositTimestamp;      // when NFT was deposited
+        uint64 agreementTimestamp;    // when agreement was confirmed
+        uint64 agreementTimeout;      // seconds after deposit before the seller may reclaim
+        uint64 paymentTimeout;        // seconds after agreement before the seller may reclaim
+        State state;
+        bytes3 currency;              // ISO-4217 code, e.g. "AUD"
+        uint64 depositDeadline;       // last timestamp for depositNFT; 0 for none
+        bool buyerAcceptanceRequired; // PayTo setup waits for acceptDeal
+        bool buyerAccepted;
+        uint64 releaseTimestamp;      // when a PaidPendingRelease deal can be finalised
+        bool claimRelease;            // on payment the buyer claims the NFT instead of receiving it
+        bool awaitingClaim;           // Paid, with the NFT still held for claim
+        uint64 suspendedAt;           // when the PayTo agreement was suspended; 0 while active
+        bool hashOnly;                // strings are commitments, never raw banking references
+    }
+
+    /// @notice Optional per-deal settings for openEscrow; zero values fall back to the defaults.
+    struct DealOptions {
+        uint64 agreementTimeout;
+        uint64 paymentTimeout;
+        uint16 instalments;           // 0 or 1 for a single payment
+        uint64 instalmentInterval;    // seconds between instalment due dates
+        bytes3 currency;              // ISO-4217 code; zero for DEFAULT_CURRENCY
+        uint64 depositDeadline;       // timestamp after which the offer expires; 0 for none
+        bool requireBuyerAcceptance;  // hold PayToAgreementRequested until the buyer accepts
+        bool claimRelease;            // release by claim rather than by transfer to the buyer
+        bool hashOnly;                // accept and emit only commitments; see _requireCommitment
+    }
+
+    struct InstalmentPlan {
+        uint16 count;                 // number of instalments (0 for a single-payment deal)
+        uint16 paid;                  // instalments confirmed so far
+        uint64 interval;              // seconds between instalment due dates
+        uint64 nextDueTimestamp;      // when the next instalment falls due
+        uint256 paidCents;            // total confirmed so far
+        string correlationIdRaw;      // kept to emit PayToPaymentRequested for later instalments
+        string agreementToken;
+    }
+
+    /// @notice Operator-signed confirmAgreement, submittable by any account.
+    struct AgreementAttestation {
+        uint256 id;
+        string correlationId;
+        string agreementToken;
+        uint256 nonce;                // any unused value; nonces are unordered per signer
+        uint256 deadline;             // last valid block timestamp
+    }
+
+    /// @notice Operator-signed confirmPayment, submittable by any account.
+    struct PaymentAttestation {
+        uint256 id;
+        string receiptReference;
+        uint256 amountCents;
+        string currency;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// @notice How a deal's price is paid out; the seller gets what the fee and royalty leave.
+    struct Payout {
+        address feeRecipient;
+        uint16 feeBps;                // platform fee rate when the deal was opened
+        address royaltyReceiver;      // ERC-2981 receiver of the NFT; none for bundles
+        uint256 feeCents;
+        uint256 royaltyCents;
+    }
+
+    /// @notice New price for a deal, signed by both its seller and buyer.
+    struct PriceAmendment {
+        uint256 id;
+        string correlationId;
+        uint256 priceCents;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    uint256 internal _nextId;
+    mapping(uint256 => Deal) internal _deals;
+    mapping(address => mapping(uint256 => bool)) internal _usedNonces;
+
+    // Payment confirmations needed from distinct operators before a payment is accepted
+    uint8 public paymentQuorum;
+    uint8 public pausedFlags;
+    // Quorum votes are counted per payment round; a round ends when a payment is accepted or fails
+    mapping(uint256 => uint256) internal _paymentRounds;
+    mapping(bytes32 => mapping(address => bool)) internal _voted;      // round key -> operator -> voted
+    mapping(bytes32 => bytes32) internal _firstDigest;                 // round key -> first digest voted
+    mapping(bytes32 => uint256) internal _votes;                       // keccak(round key, digest) -> votes
+    mapping(uint256 => InstalmentPlan) internal _plans;
+
+    // Admin-set bounds for per-deal timeouts
+    uint64 public minTimeout;
+    uint64 public maxTimeout;
+
+    // Deal ids indexed for the paginated views; the per-state sets are kept current by _setState
+    mapping(address => uint256[]) internal _sellerDeals;
+    mapping(address => uint256[]) internal _buyerDeals;
+    mapping(bytes32 => uint256[]) internal _tokenDeals;              // keccak256(nft, tokenId) -> ids
+    mapping(State => EnumerableSet.UintSet) internal _stateDeals;
+
+    // correlationIdHash -> the deal using it until that deal reaches Paid, Cancelled or Refunded
+    mapping(bytes32 => uint256) internal _activeCorrelations;
+
+    // Items of bundle deals; a bundle deal has Deal.nft == address(0)
+    mapping(uint256 => EscrowAssets.Item[]) internal _bundles;
+
+    // Implementation of the functions Escrow dispatches through its fallback
+    address public extension;
+
+    // Seconds a paid deal waits in PaidPendingRelease, open to reversal, before its release; 0 releases at once
+    uint64 public settlementWindow;
+
+    // Account the buyer allowed to claim a deal's NFT on their behalf
+    mapping(uint256 => address) internal _claimDelegates;
+
+    // Platform fee on each deal's price; a deal keeps the rate and recipient it was opened with
+    address public feeRecipient;
+    uint16 public platformFeeBps;
+
+    // Fee and royalty split of each deal's price
+    mapping(uint256 => Payout) internal _payouts;
+
+    event EscrowOpened(
+        uint256 indexed id,
+        address indexed seller,
+        address indexed buyer,
+        address nft,
+        uint256 tokenId,
+        uint256 priceCents,
+        string correlationIdRaw,
+        bytes32 correlationIdHash,
+        uint64 agreementTimeout,
+        uint64 paymentTimeout,
+        bytes3 currency
+    );
+    event BundleOpened(uint256 indexed id, EscrowAssets.Item[] items);
+    event NftDeposited(
+        uint256 indexed id,
+        address indexed nft,
+        uint256 indexed tokenId
+    );
+    event PayToAgreementRequested(
+        uint256 indexed id,
+        string correlationIdRaw,
+        bytes32 correlationIdHash
+    );
+    event AgreementConfirmed(
+        uint256 indexed id,
+        string agreementToken,
+        bytes32 agreementTokenHash
+    );
+    event PayoutSplit(
+        uint256 indexed id,
+        address feeRecipient,
+        uint256 feeCents,
+        address royaltyReceiver,
+        uint256 royaltyCents
+    );
+    event PayoutInstruction(
+        uint256 indexed id,
+        address seller,
+        uint256 sellerCents,
+        address feeRecipient,
+        uint256 feeCents,
+        address royaltyReceiver,
+        uint256 royaltyCents
+    );
+    event PlatformFeeUpdated(address feeRecipient, uint16 feeBps);
+    event PriceAmended(uint256 indexed id, uint256 previousPriceCents, uint256 priceCents);
+    event AgreementAmended(
+        uint256 indexed id,
+        string agreementToken,
+        bytes32 agreementTokenHash,
+        bytes32 reason
+    );
+    event AgreementSuspended(uint256 indexed id, bytes32 reason);
+    event AgreementResumed(uint256 indexed id, bytes32 reason);
+    event PayToPaymentRequested(
+        uint256 indexed id,
+        string correlationIdRaw,
+        bytes32 correlationIdHash,
+        string agreementToken,
+        uint256 amountCents,
+        uint16 instalment,            // 1-based; always 1 for a single-payment deal
+        uint64 dueTimestamp
+    );
+    event PaymentConfirmed(
+        uint256 indexed id,
+        string receiptReference,
+        uint256 amountCents,
+        string currency
+    );
+    event NftReleased(uint256 indexed id, address indexed to);
+    event EscrowCancelled(uint256 indexed id);
+    event EscrowExpired(uint256 indexed id, uint64 depositDeadline);
+    event BuyerAccepted(uint256 indexed id, address indexed buyer);
+    event BuyerDeclined(uint256 indexed id, address indexed buyer);
+    event BuyerCancelled(uint256 indexed id, address indexed buyer);
+    event ReleasePending(uint256 indexed id, uint64 releaseTimestamp);
+    event PaymentReversed(uint256 indexed id, bytes32 reason);
+    event ReleaseClaimable(uint256 indexed id, address indexed buyer);
+    event ClaimDelegated(uint256 indexed id, address indexed delegate);
+    event SettlementWindowUpdated(uint64 settlementWindow);
+    event TokenRescued(address indexed token, uint256 indexed id, uint256 amount, address indexed to);
+    event NftRefunded(uint256 indexed id, address indexed to);
+    event AgreementRejected(uint256 indexed id, bytes32 reason);
+    event PaymentFailed(uint256 indexed id, bytes32 reason);
+    event InstalmentPlanCreated(uint256 indexed id, uint16 instalments, uint64 interval);
+    event InstalmentsRefundDue(uint256 indexed id, address indexed buyer, uint256 paidCents);
+    event DisputeRaised(uint256 indexed id, address indexed raisedBy, bytes32 reasonHash);
+    event DisputeResolved(uint256 indexed id, DisputeOutcome outcome, address indexed arbiter);
+    event TimeoutLimitsUpdated(uint64 minTimeout, uint64 maxTimeout);
+    event PaymentQuorumUpdated(uint8 quorum);
+    event Paused(address indexed account, uint8 flags, uint8 pausedFlags);
+    event Unpaused(address indexed account, uint8 flags, uint8 pausedFlags);
+    event ExtensionUpdated(address indexed extension);
+    event PaymentConfirmationVoted(uint256 indexed id, address indexed operator, bytes32 digest, uint256 votes);
+    event PaymentConfirmationConflict(
+        uint256 indexed id,
+        address indexed operator,
+        bytes32 expectedDigest,
+        bytes32 digest
+    );
+
+    error NotSeller();
+    error NotSellerOrAdmin();
+    error WrongState(State required, State current);
+    error InvalidNFT();
+    error ZeroAddress();
+    error NotApproved();
+    error InvalidPrice();
+    error EmptyString();
+    error TimeoutNotReached();
+    error MismatchedCorrelation();
+    error PaymentAmountMismatch(uint256 expected, uint256 received); 
+    error DealNotFound(uint256 id); 
+    error TimeoutOutOfRange(uint256 timeout, uint256 min, uint256 max);
+    error InvalidTimeoutLimits();
+    error MismatchedAgreementToken();
+    error RetryNotAllowed();
+    error NotParty();
+    error InvalidInstalments();
+    error ExpiredAttestation(uint256 deadline);
+    error InvalidAttestationSigner(address signer);
+    error NonceAlreadyUsed(address signer, uint256 nonce);
+    error AlreadyConfirmed(address operator);
+    error InvalidQuorum();
+    error FunctionPaused(uint8 flag);
+    error NotGuardianOrAdmin();
+    error CorrelationIdInUse(uint256 id);
+    error InvalidCurrency(bytes3 currency);
+    error CurrencyMismatch(bytes3 expected, string received);
+    error InvalidExtension(address extension);
+    error DepositDeadlinePassed(uint64 deadline);
+    error InvalidDepositDeadline(uint64 deadline);
+    error NotBuyer();
+    error BuyerNotAccepted();
+    error AlreadyAccepted();
+    error UnsolicitedTransfer();
+    error AssetInEscrow(address token, uint256 id);
+    error SettlementWindowOpen(uint64 releaseTimestamp);
+    error SettlementWindowClosed(uint64 releaseTimestamp);
+    error InvalidSettlementWindow();
+    error NothingToClaim();
+    error NotBuyerOrDelegate();
+    error OnlyEscrow();
+    error AgreementNotActive();
+    error AgreementNotSuspended();
+    error InvalidPartySignature(address signer);
+    error InvalidPlatformFee();
+    error NotACommitment();
+    error InsufficientGas();
+
+    // New Modifier
+    modifier dealExists(uint256 id) {
+        if (_deals[id].state == State.None) revert DealNotFound(id);
+        _;
+    }
+
+    modifier whenNotPaused(uint8 flag) {
+        if (pausedFlags & flag != 0) revert FunctionPaused(flag);
+        _;
+    }
+
+    function _setState(uint256 id, Deal storage d, State next) internal {
+        _stateDeals[d.state].remove(id);
+        _stateDeals[next].add(id);
+        d.state = next;
+        // A suspension only lasts as long as the confirmed agreement
+        if (d.suspendedAt != 0 && next != State.AgreementConfirmed) d.suspendedAt = 0;
+        // Terminal states free the correlation id for a new deal
+        if (next == State.Paid || next == State.Cancelled || next == State.Refunded || next == State.Expired) {
+            delete _activeCorrelations[d.correlationIdHash];
+        }
+    }
+
+    // An Opened deal whose deposit deadline has passed; it only reaches State.Expired through _expire
+    function _depositDeadlinePassed(Deal storage d) internal view returns (bool) {
+        return d.state == State.Opened && d.depositDeadline != 0 && block.timestamp > d.depositDeadline;
+    }
+
+    function _expire(uint256 id, Deal storage d) internal {
+        _setState(id, d, State.Expired);
+        emit EscrowExpired(id, d.depositDeadline);
+    }
+
+    // Whether the escrow holds the deal's NFT or bundle
+    function _holdsAssets(Deal storage d) internal view returns (bool) {
+        State state = d.state;
+        return
+            state == State.NftDeposited ||
+            state == State.AgreementConfirmed ||
+            state == State.Failed ||
+            state == State.Disputed ||
+            state == State.PaidPendingRelease ||
+            d.awaitingClaim;
+    }
+
+    // PayTo setup starts at deposit, unless the deal waits for the buyer to accept
+    function _awaitingBuyer(Deal storage d) internal view returns (bool) {
+        return d.buyerAcceptanceRequired && !d.buyerAccepted;
+    }
+
+    function _requestPayment(
+        uint256 id,
+        Deal storage d,
+        string memory correlationIdRaw,
+        string memory agreementToken
+    ) internal {
+        InstalmentPlan storage p = _plans[id];
+        emit PayToPaymentRequested(
+            id,
+            correlationIdRaw,
+            d.correlationIdHash,
+            agreementToken,
+            _amountDue(id, d),
+            p.paid + 1,
+            _paymentDueTimestamp(id, d)
+        );
+    }
+
+    function _paymentDigest(
+        string calldata receiptReference,
+        uint256 amountCents,
+        string calldata currency
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(keccak256(bytes(receiptReference)), amountCents, keccak256(bytes(currency))));
+    }
+
+    function _roundKey(uint256 id) internal view returns (bytes32) {
+        return keccak256(abi.encode(id, _paymentRounds[id]));
+    }
+
+    function _amountDue(uint256 id, Deal storage d) internal view returns (uint256) {
+        InstalmentPlan storage p = _plans[id];
+        if (p.count == 0) return d.priceCents;
+        uint256 instalment = d.priceCents / p.count;
+        // The last instalment takes the rounding remainder
+        return p.paid + 1 == p.count ? d.priceCents - instalment * (p.count - 1) : instalment;
+    }
+
+    function _paymentDueTimestamp(uint256 id, Deal storage d) internal view returns (uint64) {
+        InstalmentPlan storage p = _plans[id];
+        return p.count > 0 ? p.nextDueTimestamp : d.agreementTimestamp;
+    }
+
+    /*
+     * A hash-only deal takes every correlation id, agreement token and receipt reference as the
+     * commitment keccak256(abi.encodePacked(salt, raw)), written as "0x" and 64 lower-case hex
+     * digits, so that neither calldata nor events reveal the raw value. The salt stays off-chain.
+     * Any other string could be a raw reference, and is rejected.
+     */
+    function _requireCommitment(Deal storage d, string calldata value) internal view {
+        if (!d.hashOnly) return;
+        bytes calldata b = bytes(value);
+        if (b.length != 66 || b[0] != "0" || b[1] != "x") revert NotACommitment();
+        for (uint256 i = 2; i < 66; i++) {
+            bytes1 c = b[i];
+            if ((c < "0" || c > "9") && (c < "a" || c > "f")) revert NotACommitment();
+        }
+    }
+
+    // The payment timeout does not run while the agreement is suspended, for up to paymentTimeout
+    function _paymentTimedOut(uint256 id, Deal storage d) internal view returns (bool) {
+        uint256 held = d.suspendedAt != 0 ? _suspensionHold(d) : 0;
+        return block.timestamp - held >= _paymentDueTimestamp(id, d) + d.paymentTimeout;
+    }
+
+    // How long the current suspension holds the payment timeout: a payer who never resumes the
+    // agreement cannot keep the NFT in escrow for longer than one more paymentTimeout
+    function _suspensionHold(Deal storage d) internal view returns (uint64) {
+        uint64 suspendedFor = uint64(block.timestamp) - d.suspendedAt;
+        return suspendedFor < d.paymentTimeout ? suspendedFor : d.paymentTimeout;
+    }
+
+    // Moves the escrowed NFT, or every item of a bundle, out of the escrow
+    function _transferAssets(uint256 id, Deal storage d, address to) internal {
+        if (d.nft == address(0)) {
+            EscrowAssets.transferOut(_bundles[id], to);
+        } else {
+            IERC721(d.nft).safeTransferFrom(address(this), to, d.tokenId);
+        }
+    }
+
+    // How to pay out the full price, once the payment can no longer be reversed
+    function _payoutInstruction(uint256 id, Deal storage d) internal {
+        Payout storage payout = _payouts[id];
+        emit PayoutInstruction(
+            id,
+            d.seller,
+            d.priceCents - payout.feeCents - payout.royaltyCents,
+            payout.feeRecipient,
+            payout.feeCents,
+            payout.royaltyReceiver,
+            payout.royaltyCents
+        );
+    }
+
+    // Completes a paid deal: the escrowed assets go to the buyer, or wait for claim in claim
+    // mode or when the buyer cannot receive them
+    function _release(uint256 id, Deal storage d) internal {
+        // EFFECTS (State change before external call)
+        _setState(id, d, State.Paid);
+        
+        // INTERACTION (External call)
+        if (!d.claimRelease) {
+            // Short of the reserve, a failed push could be down to the caller's gas limit, so the call
+            // fails and can be resent; past it, any failure is the buyer's and falls back to a claim
+            uint256 items = d.nft == address(0) ? _bundles[id].length : 1;
+            if (gasleft() < items * RELEASE_GAS_PER_ITEM) revert InsufficientGas();
+            try EscrowBase(address(this)).pushAssets(id, d.buyer) {
+                emit NftReleased(id, d.buyer);
+                return;
+            } catch {}
+        }
+        d.awaitingClaim = true;
+        emit ReleaseClaimable(id, d.buyer);
+    }
+
+    /**
+     * @notice Only callable by the escrow itself, from _release: moving the assets in a call
+     * of its own lets a failed transfer, even part-way through a bundle, be caught and undone.
+     */
+    function pushAssets(uint256 id, address to) external {
+        if (msg.sender != address(this)) revert OnlyEscrow();
+        _transferAssets(id, _deals[id], to);
+    }
+
+    // Returns the escrowed assets; instalments already collected are flagged for an off-chain refund
+    function _returnToSeller(uint256 id, Deal storage d) internal {
+        _transferAssets(id, d, d.seller);
+        emit NftRefunded(id, d.seller);
+
+        uint256 paidCents = _plans[id].paidCents;
+        if (paidCents > 0) emit InstalmentsRefundDue(id, d.buyer, paidCents);
+    }
+}
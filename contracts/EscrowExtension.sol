@@ -0,0 +1,584 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC1155} from "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {IERC2981} from "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import {ERC165Checker} from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import {EscrowBase} from "./EscrowBase.sol";
+import {EscrowAssets} from "./EscrowAssets.sol";
+
+/**
+ * @title Secondary Escrow functions
+ * @notice Failure reports, retries, disputes and admin settings of Escrow; views are passed on to EscrowViews.
+ * @dev Only ever runs via DELEGATECALL from Escrow's fallback, against the proxy's storage;
+ * calling it directly reads and writes its own, empty, storage.
+ */
+contract EscrowExtension is EscrowBase {
+    /// @dev EscrowViews serving the read-only functions; kept in code, so it holds under DELEGATECALL.
+    address private immutable _views;
+
+    constructor(address viewsImpl) {
+        _disableInitializers();
+        _views = viewsImpl;
+    }
+
+    /**
+     * @notice Called by OPERATOR when the payer's bank declined or cancelled the PayTo agreement.
+     * @dev Moves the deal to Failed; the seller can then retry or reclaim the NFT immediately.
+     * @param reason Short reason code from the PayTo scheme, e.g. bytes32("DECLINED").
+     */
+    function reportAgreementRejected(
+        uint256 id,
+        bytes32 reason
+    ) external onlyRole(OPERATOR_ROLE) dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.NftDeposited) revert WrongState(State.NftDeposited, d.state);
+
+        _setState(id, d, State.Failed);
+        emit AgreementRejected(id, reason);
+    }
+
+    /**
+     * @notice Called by OPERATOR when the PayTo payment failed or settled for the wrong amount.
+     * @dev Moves the deal to Failed; the seller can then retry or reclaim the NFT immediately.
+     */
+    function reportPaymentFailed(
+        uint256 id,
+        bytes32 reason
+    ) external onlyRole(OPERATOR_ROLE) dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+
+        _setState(id, d, State.Failed);
+        _paymentRounds[id] += 1;
+        emit PaymentFailed(id, reason);
+    }
+
+    /**
+     * @notice Called by OPERATOR when the PayTo agreement was amended or re-issued under a new token.
+     * Re-emits PayToPaymentRequested with the new token; the payment keeps its due date.
+     * @param reason Short reason code, e.g. bytes32("AMENDED").
+     */
+    function amendAgreement(
+        uint256 id,
+        string calldata correlationIdRaw,
+        string calldata agreementToken,
+        bytes32 reason
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkActiveAgreement(d, correlationIdRaw);
+        if (bytes(agreementToken).length == 0) revert EmptyString();
+        _requireCommitment(d, agreementToken);
+
+        bytes32 tokenHash = keccak256(bytes(agreementToken));
+        d.agreementTokenHash = tokenHash;
+        if (_plans[id].count > 0) _plans[id].agreementToken = agreementToken;
+
+        emit AgreementAmended(id, agreementToken, tokenHash, reason);
+        _requestPayment(id, d, correlationIdRaw, agreementToken);
+    }
+
+    /**
+     * @notice Called by OPERATOR when the payer suspended the PayTo agreement. Payments cannot be
+     * confirmed, and the payment timeout stops, until resumeAgreement. The timeout runs again
+     * once the suspension has lasted paymentTimeout.
+     */
+    function suspendAgreement(uint256 id, bytes32 reason) external onlyRole(OPERATOR_ROLE) dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+        if (d.suspendedAt != 0) revert AgreementNotActive();
+
+        d.suspendedAt = uint64(block.timestamp);
+        emit AgreementSuspended(id, reason);
+    }
+
+    /**
+     * @notice Called by OPERATOR when a suspended PayTo agreement is active again. The payment
+     * falls due later by the time spent suspended, up to paymentTimeout, and is requested again.
+     */
+    function resumeAgreement(
+        uint256 id,
+        string calldata correlationIdRaw,
+        string calldata agreementToken,
+        bytes32 reason
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+        if (d.suspendedAt == 0) revert AgreementNotSuspended();
+        if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
+        if (keccak256(bytes(agreementToken)) != d.agreementTokenHash) revert MismatchedAgreementToken();
+
+        uint64 suspendedFor = _suspensionHold(d);
+        d.suspendedAt = 0;
+        d.agreementTimestamp += suspendedFor;
+        if (_plans[id].count > 0) _plans[id].nextDueTimestamp += suspendedFor;
+
+        emit AgreementResumed(id, reason);
+        _requestPayment(id, d, correlationIdRaw, agreementToken);
+    }
+
+    function _checkActiveAgreement(Deal storage d, string calldata correlationIdRaw) private view {
+        if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+        if (d.suspendedAt != 0) revert AgreementNotActive();
+        if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
+    }
+
+    /**
+     * @notice Seller or admin asks the relayer for a new PayTo agreement after a rejection.
+     * Re-emits PayToAgreementRequested and restarts the agreement timeout.
+     * @dev A deal opened with requireBuyerAcceptance must have been accepted, as for confirmAgreement.
+     */
+    function retryAgreement(
+        uint256 id,
+        string calldata correlationIdRaw
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkRetry(d);
+        if (d.agreementTokenHash != bytes32(0)) revert RetryNotAllowed();
+        if (_awaitingBuyer(d)) revert BuyerNotAccepted();
+        if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
+
+        d.depositTimestamp = uint64(block.timestamp);
+        _setState(id, d, State.NftDeposited);
+        emit PayToAgreementRequested(id, correlationIdRaw, d.correlationIdHash);
+    }
+
+    /**
+     * @notice Seller or admin asks the relayer to collect the payment again under the confirmed agreement.
+     * Re-emits PayToPaymentRequested and restarts the payment timeout.
+     * @dev Strings are taken as memory: as calldata the function is too deep in the stack under viaIR.
+     */
+    function retryPayment(
+        uint256 id,
+        string memory correlationIdRaw,
+        string memory agreementToken
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkRetry(d);
+        if (d.agreementTokenHash == bytes32(0)) revert RetryNotAllowed();
+        if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
+        if (keccak256(bytes(agreementToken)) != d.agreementTokenHash) revert MismatchedAgreementToken();
+
+        d.agreementTimestamp = uint64(block.timestamp);
+        if (_plans[id].count > 0) _plans[id].nextDueTimestamp = uint64(block.timestamp);
+        _setState(id, d, State.AgreementConfirmed);
+        _requestPayment(id, d, correlationIdRaw, agreementToken);
+    }
+
+    function _checkRetry(Deal storage d) private view {
+        if (d.state != State.Failed) revert WrongState(State.Failed, d.state);
+        if (msg.sender != d.seller && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert NotSellerOrAdmin();
+        }
+    }
+
+    /**
+     * @notice Anyone completes a PaidPendingRelease deal once its settlement window has passed,
+     * releasing the NFT to the buyer.
+     * @dev PayoutInstruction is emitted here rather than with the payment, which could still be reversed.
+     */
+    function finalizeRelease(uint256 id) external nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.PaidPendingRelease) revert WrongState(State.PaidPendingRelease, d.state);
+        if (block.timestamp < d.releaseTimestamp) revert SettlementWindowOpen(d.releaseTimestamp);
+
+        _payoutInstruction(id, d);
+        _release(id, d);
+    }
+
+    /**
+     * @notice Buyer, or the delegate they named, takes delivery of a paid deal's NFT or bundle
+     * waiting to be claimed, sending it to `to`.
+     */
+    function claim(uint256 id, address to) external nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        if (!d.awaitingClaim) revert NothingToClaim();
+        if (msg.sender != d.buyer && msg.sender != _claimDelegates[id]) revert NotBuyerOrDelegate();
+        if (to == address(0)) revert ZeroAddress();
+
+        d.awaitingClaim = false;
+        _transferAssets(id, d, to);
+        emit NftReleased(id, to);
+    }
+
+    /// @notice Buyer names an account that may claim the deal's NFT for them; address(0) removes it.
+    function delegateClaim(uint256 id, address delegate) external dealExists(id) {
+        if (msg.sender != _deals[id].buyer) revert NotBuyer();
+        _claimDelegates[id] = delegate;
+        emit ClaimDelegated(id, delegate);
+    }
+
+    /**
+     * @notice Called by OPERATOR when an accepted payment is recalled or reversed within the
+     * settlement window. Returns the NFT to the seller; the deal ends Refunded.
+     * @dev For an instalment plan the reversed final instalment no longer counts as paid, so
+     * InstalmentsRefundDue only covers the earlier ones.
+     */
+    function reportPaymentReversed(
+        uint256 id,
+        bytes32 reason
+    ) external onlyRole(OPERATOR_ROLE) nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.PaidPendingRelease) revert WrongState(State.PaidPendingRelease, d.state);
+        if (block.timestamp >= d.releaseTimestamp) revert SettlementWindowClosed(d.releaseTimestamp);
+
+        InstalmentPlan storage p = _plans[id];
+        if (p.count > 0) {
+            p.paid -= 1;
+            p.paidCents -= _amountDue(id, d);
+        }
+        emit PaymentReversed(id, reason);
+        _setState(id, d, State.Refunded);
+        _returnToSeller(id, d);
+    }
+
+    /**
+     * @notice Buyer consents to a deal opened against them, before the agreement is confirmed.
+     * @dev For a deal opened with requireBuyerAcceptance and already deposited, this emits the
+     * held-back PayToAgreementRequested and restarts the agreement timeout.
+     */
+    function acceptDeal(
+        uint256 id,
+        string calldata correlationIdRaw
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkBuyerBeforeAgreement(d);
+        if (d.buyerAccepted) revert AlreadyAccepted();
+        if (keccak256(bytes(correlationIdRaw)) != d.correlationIdHash) revert MismatchedCorrelation();
+
+        bool requestAgreement = _awaitingBuyer(d) && d.state == State.NftDeposited;
+        d.buyerAccepted = true;
+        emit BuyerAccepted(id, msg.sender);
+        if (requestAgreement) {
+            d.depositTimestamp = uint64(block.timestamp);
+            emit PayToAgreementRequested(id, correlationIdRaw, d.correlationIdHash);
+        }
+    }
+
+    /**
+     * @notice Applies a price change the seller and buyer both signed as an EIP-712
+     * PriceAmendment; any account can submit it while the deal is Opened or NftDeposited.
+     * After the deposit the PayTo agreement is requested again, for the new amount, and the
+     * agreement timeout restarts.
+     * @dev Each party's nonce is consumed as for attestations. Contract wallets sign via ERC-1271.
+     */
+    function amendPrice(
+        PriceAmendment calldata amendment,
+        bytes calldata sellerSignature,
+        bytes calldata buyerSignature
+    ) external whenNotPaused(PAUSE_CONFIRMATIONS) dealExists(amendment.id) {
+        uint256 id = amendment.id;
+        Deal storage d = _deals[id];
+        if (d.state != State.Opened && d.state != State.NftDeposited) revert WrongState(State.NftDeposited, d.state);
+        if (_depositDeadlinePassed(d)) revert DepositDeadlinePassed(d.depositDeadline);
+        if (keccak256(bytes(amendment.correlationId)) != d.correlationIdHash) revert MismatchedCorrelation();
+        if (amendment.priceCents == 0) revert InvalidPrice();
+        if (amendment.priceCents < _plans[id].count) revert InvalidInstalments();
+        if (block.timestamp > amendment.deadline) revert ExpiredAttestation(amendment.deadline);
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    PRICE_AMENDMENT_TYPEHASH,
+                    id,
+                    keccak256(bytes(amendment.correlationId)),
+                    amendment.priceCents,
+                    amendment.nonce,
+                    amendment.deadline
+                )
+            )
+        );
+        _usePartySignature(d.seller, digest, amendment.nonce, sellerSignature);
+        _usePartySignature(d.buyer, digest, amendment.nonce, buyerSignature);
+
+        emit PriceAmended(id, d.priceCents, amendment.priceCents);
+        d.priceCents = amendment.priceCents;
+        _splitPayout(id, d);
+        if (d.state == State.NftDeposited && !_awaitingBuyer(d)) {
+            d.depositTimestamp = uint64(block.timestamp);
+            emit PayToAgreementRequested(id, amendment.correlationId, d.correlationIdHash);
+        }
+    }
+
+    /**
+     * @notice Only callable by the escrow itself, from openEscrow: fixes the deal's platform fee
+     * at the current rate and splits its price.
+     */
+    function splitPayout(uint256 id) external {
+        if (msg.sender != address(this)) revert OnlyEscrow();
+        Payout storage p = _payouts[id];
+        p.feeRecipient = feeRecipient;
+        p.feeBps = platformFeeBps;
+        _splitPayout(id, _deals[id]);
+    }
+
+    // Splits the price by the deal's fee rate and the NFT's ERC-2981 royalty, capped at what the fee leaves
+    function _splitPayout(uint256 id, Deal storage d) private {
+        Payout storage p = _payouts[id];
+        uint256 feeCents = (d.priceCents * p.feeBps) / 10_000;
+        uint256 left = d.priceCents - feeCents;
+        address royaltyReceiver;
+        uint256 royaltyCents;
+        if (d.nft != address(0) && ERC165Checker.supportsInterface(d.nft, type(IERC2981).interfaceId)) {
+            try IERC2981(d.nft).royaltyInfo(d.tokenId, d.priceCents) returns (address receiver, uint256 amount) {
+                royaltyReceiver = receiver;
+                if (receiver != address(0)) royaltyCents = amount < left ? amount : left;
+            } catch {}
+        }
+        p.feeCents = feeCents;
+        p.royaltyReceiver = royaltyReceiver;
+        p.royaltyCents = royaltyCents;
+        emit PayoutSplit(id, p.feeRecipient, feeCents, royaltyReceiver, royaltyCents);
+    }
+
+    function _usePartySignature(address signer, bytes32 digest, uint256 nonce, bytes calldata signature) private {
+        if (!SignatureChecker.isValidSignatureNow(signer, digest, signature)) revert InvalidPartySignature(signer);
+        if (_usedNonces[signer][nonce]) revert NonceAlreadyUsed(signer, nonce);
+        _usedNonces[signer][nonce] = true;
+    }
+
+    /**
+     * @notice Buyer turns down a deal they have not accepted. Before deposit the deal is
+     * cancelled; after it the NFT goes back to the seller and the deal is Refunded.
+     */
+    function buyerDecline(uint256 id) external nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkBuyerBeforeAgreement(d);
+        if (d.buyerAccepted) revert AlreadyAccepted();
+
+        emit BuyerDeclined(id, msg.sender);
+        _unwindForBuyer(id, d);
+    }
+
+    /**
+     * @notice Buyer backs out of an accepted deal before the PayTo agreement is confirmed;
+     * unwinds the deal like buyerDecline.
+     */
+    function buyerCancel(uint256 id) external nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        _checkBuyerBeforeAgreement(d);
+        if (!d.buyerAccepted) revert BuyerNotAccepted();
+
+        emit BuyerCancelled(id, msg.sender);
+        _unwindForBuyer(id, d);
+    }
+
+    function _checkBuyerBeforeAgreement(Deal storage d) private view {
+        if (msg.sender != d.buyer) revert NotBuyer();
+        if (d.state != State.Opened && d.state != State.NftDeposited) revert WrongState(State.NftDeposited, d.state);
+    }
+
+    function _unwindForBuyer(uint256 id, Deal storage d) private {
+        if (d.state == State.Opened) {
+            _setState(id, d, State.Cancelled);
+            emit EscrowCancelled(id);
+        } else {
+            _setState(id, d, State.Refunded);
+            _returnToSeller(id, d);
+        }
+    }
+
+    /**
+     * @notice Buyer or seller contests a deal once the agreement is confirmed.
+     * @dev Freezes the deal: no payment confirmation, timeout refund or emergency refund
+     * until an ARBITER resolves it.
+     * @param reasonHash Hash of the off-chain dispute statement.
+     */
+    function raiseDispute(uint256 id, bytes32 reasonHash) external dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.AgreementConfirmed) revert WrongState(State.AgreementConfirmed, d.state);
+        if (msg.sender != d.buyer && msg.sender != d.seller) revert NotParty();
+
+        _setState(id, d, State.Disputed);
+        emit DisputeRaised(id, msg.sender, reasonHash);
+    }
+
+    /**
+     * @notice ARBITER settles a dispute by releasing the NFT to the buyer (deal Paid, with its
+     * PayoutInstruction) or returning it to the seller (deal Refunded).
+     */
+    function resolveDispute(
+        uint256 id,
+        DisputeOutcome outcome
+    ) external onlyRole(ARBITER_ROLE) nonReentrant dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.Disputed) revert WrongState(State.Disputed, d.state);
+
+        emit DisputeResolved(id, outcome, msg.sender);
+        if (outcome == DisputeOutcome.ReleaseToBuyer) {
+            _payoutInstruction(id, d);
+            _release(id, d);
+        } else {
+            _setState(id, d, State.Refunded);
+            _returnToSeller(id, d);
+        }
+    }
+
+    /**
+     * @notice Anyone can close an Opened deal whose deposit deadline has passed.
+     * @dev Frees the correlation id and emits EscrowExpired for the relayer.
+     */
+    function markExpired(uint256 id) external dealExists(id) {
+        Deal storage d = _deals[id];
+        if (d.state != State.Opened) revert WrongState(State.Opened, d.state);
+        if (!_depositDeadlinePassed(d)) revert TimeoutNotReached();
+
+        _expire(id, d);
+    }
+
+    /**
+     * @notice Emergency admin function to cancel and refund NFT if deposited.
+     * @dev Can be used in Opened, NftDeposited, AgreementConfirmed or Failed states.
+     * Returns NFT only if it was actually deposited.
+     */
+    function emergencyRefund(
+        uint256 id
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant dealExists(id) { 
+        Deal storage d = _deals[id];
+        
+        // Cannot emergency refund if already in a final state, while an arbiter decides or once paid
+        if (
+            d.state == State.Paid ||
+            d.state == State.Refunded ||
+            d.state == State.Cancelled ||
+            d.state == State.Expired ||
+            d.state == State.Disputed ||
+            d.state == State.PaidPendingRelease
+        ) {
+            revert WrongState(State.Opened, d.state); 
+        }
+        
+        State oldState = d.state;
+        _setState(id, d, State.Refunded);
+        
+        // Only transfer NFT if it was actually deposited
+        if (oldState == State.NftDeposited || oldState == State.AgreementConfirmed || oldState == State.Failed) {
+            _returnToSeller(id, d);
+        }
+        
+        emit EscrowCancelled(id);
+    }
+
+    // -------- Admin -------- //
+
+    /**
+     * @notice Set the bounds for per-deal timeouts passed to openEscrow.
+     * @dev Existing deals keep the timeouts they were opened with.
+     */
+    function setTimeoutLimits(
+        uint64 newMinTimeout,
+        uint64 newMaxTimeout
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMinTimeout == 0 || newMinTimeout > newMaxTimeout) revert InvalidTimeoutLimits();
+        minTimeout = newMinTimeout;
+        maxTimeout = newMaxTimeout;
+        emit TimeoutLimitsUpdated(newMinTimeout, newMaxTimeout);
+    }
+
+    /**
+     * @notice Set how many distinct operators must confirm a payment before it is accepted.
+     * @dev Votes already cast in an open round count towards the new quorum.
+     */
+    function setPaymentQuorum(uint8 quorum) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (quorum == 0) revert InvalidQuorum();
+        paymentQuorum = quorum;
+        emit PaymentQuorumUpdated(quorum);
+    }
+
+    /**
+     * @notice Set how long a paid deal stays in PaidPendingRelease, open to reversal, before
+     * its NFT can be released; 0 releases on payment confirmation. At most maxTimeout.
+     * @dev Deals already pending keep their release time.
+     */
+    function setSettlementWindow(uint64 window) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (window > maxTimeout) revert InvalidSettlementWindow();
+        settlementWindow = window;
+        emit SettlementWindowUpdated(window);
+    }
+
+    /**
+     * @notice Set the platform fee taken from each deal's price, in basis points (at most
+     * MAX_PLATFORM_FEE_BPS), and the account it is paid to. Only deals opened afterwards use it.
+     */
+    function setPlatformFee(address recipient, uint16 feeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (feeBps > MAX_PLATFORM_FEE_BPS || (feeBps > 0 && recipient == address(0))) revert InvalidPlatformFee();
+        feeRecipient = recipient;
+        platformFeeBps = feeBps;
+        emit PlatformFeeUpdated(recipient, feeBps);
+    }
+
+    /**
+     * @notice GUARDIAN or admin halts the functions selected by `flags` (PAUSE_* bits).
+     * @dev Seller refunds, cancellations, failure reports and disputes stay available.
+     */
+    function pause(uint8 flags) external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender) && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert NotGuardianOrAdmin();
+        }
+        pausedFlags |= flags & PAUSE_ALL;
+        emit Paused(msg.sender, flags, pausedFlags);
+    }
+
+    /// @notice Only the admin can resume paused functions.
+    function unpause(uint8 flags) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        pausedFlags &= ~flags;
+        emit Unpaused(msg.sender, flags, pausedFlags);
+    }
+
+    /**
+     * @notice Admin recovers a token the escrow holds outside any deal, such as an ERC-721 sent
+     * with transferFrom, which skips onERC721Received. Of an ERC-1155 id, only the balance above
+     * what deals hold can be recovered.
+     */
+    function rescueToken(
+        EscrowAssets.Item calldata item,
+        address to
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (to == address(0)) revert ZeroAddress();
+        uint256 escrowed = _escrowedAmount(item.token, item.id);
+        if (item.standard == EscrowAssets.Standard.ERC721) {
+            if (escrowed > 0) revert AssetInEscrow(item.token, item.id);
+            IERC721(item.token).safeTransferFrom(address(this), to, item.id);
+        } else {
+            if (IERC1155(item.token).balanceOf(address(this), item.id) < escrowed + item.amount) {
+                revert AssetInEscrow(item.token, item.id);
+            }
+            IERC1155(item.token).safeTransferFrom(address(this), to, item.id, item.amount, "");
+        }
+        emit TokenRescued(item.token, item.id, item.amount, to);
+    }
+
+    // Amount of (token, id) held for deals, single-NFT or bundle, that have it in escrow
+    function _escrowedAmount(address token, uint256 id) private view returns (uint256 amount) {
+        uint256[] storage ids = _tokenDeals[keccak256(abi.encode(token, id))];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Deal storage d = _deals[ids[i]];
+            if (!_holdsAssets(d)) continue;
+            if (d.nft != address(0)) {
+                amount += 1;
+                continue;
+            }
+            EscrowAssets.Item[] storage items = _bundles[ids[i]];
+            for (uint256 j = 0; j < items.length; j++) {
+                if (items[j].token == token && items[j].id == id) amount += items[j].amount;
+            }
+        }
+    }
+
+    // -------- Views -------- //
+
+    /// @dev Runs any other selector on EscrowViews, passing its return data or revert reason through.
+    fallback() external {
+        address impl = _views;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), impl, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch ok
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {EscrowBase} from "./EscrowBase.sol";
+import {EscrowAssets} from "./EscrowAssets.sol";
+
+/**
+ * @title Escrow views
+ * @notice Read-only functions of Escrow.
+ * @dev Only ever runs via DELEGATECALL from EscrowExtension's fallback, itself delegatecalled
+ * by Escrow's, against the proxy's storage.
+ */
+contract EscrowViews is EscrowBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    function getDeal(uint256 id) external view returns (Deal memory) {
+        return _deals[id];
+    }
+    
+    /// @notice Full Deal structs for `ids`; unknown ids come back with state None.
+    function getDeals(uint256[] calldata ids) external view returns (Deal[] memory deals) {
+        deals = new Deal[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            deals[i] = _deals[ids[i]];
+        }
+    }
+
+    /**
+     * @notice Deal ids opened by `seller`, oldest first: up to `limit` ids from `offset`,
+     * and the total to page through.
+     */
+    function dealsBySeller(address seller, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _page(_sellerDeals[seller], offset, limit);
+    }
+
+    /// @notice Deal ids where `buyer` is the buyer, oldest first; paginated like dealsBySeller.
+    function dealsByBuyer(address buyer, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _page(_buyerDeals[buyer], offset, limit);
+    }
+
+    /// @notice Deal ids opened for the NFT `(nft, tokenId)`, oldest first; paginated like dealsBySeller.
+    function dealsByToken(address nft, uint256 tokenId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _page(_tokenDeals[keccak256(abi.encode(nft, tokenId))], offset, limit);
+    }
+
+    /**
+     * @notice Deal ids currently in `state`, paginated like dealsBySeller.
+     * @dev Unordered: a deal leaving the state moves the last id into its place, so pages
+     * read across transactions can skip or repeat ids.
+     */
+    function dealsByState(State state, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        EnumerableSet.UintSet storage set = _stateDeals[state];
+        total = set.length();
+        ids = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < ids.length; i++) {
+            ids[i] = set.at(offset + i);
+        }
+    }
+
+    function _page(uint256[] storage all, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        total = all.length;
+        ids = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < ids.length; i++) {
+            ids[i] = all[offset + i];
+        }
+    }
+
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) return 0;
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    /// @notice Items of a bundle deal; empty for a single-NFT deal.
+    function getBundle(uint256 id) external view returns (EscrowAssets.Item[] memory) {
+        return _bundles[id];
+    }
+
+    /// @notice Fee and royalty split of the deal's price; the seller is paid the rest.
+    function getPayout(uint256 id) external view returns (Payout memory) {
+        return _payouts[id];
+    }
+
+    /// @notice The account allowed to claim the deal's NFT besides the buyer, if any.
+    function claimDelegate(uint256 id) external view returns (address) {
+        return _claimDelegates[id];
+    }
+
+    function getInstalmentPlan(uint256 id) external view returns (InstalmentPlan memory) {
+        return _plans[id];
+    }
+
+    /// @notice Amount the next confirmPayment must carry: the price, or the current instalment.
+    function amountDue(uint256 id) external view dealExists(id) returns (uint256) {
+        return _amountDue(id, _deals[id]);
+    }
+
+    /// @notice Quorum votes for a payment in the deal's current round.
+    function paymentVotes(
+        uint256 id,
+        string calldata receiptReference,
+        uint256 amountCents,
+        string calldata currency
+    ) external view returns (uint256) {
+        return _votes[keccak256(abi.encode(_roundKey(id), _paymentDigest(receiptReference, amountCents, currency)))];
+    }
+
+    /// @notice Whether `operator` has already voted in the deal's current payment round.
+    function hasConfirmedPayment(uint256 id, address operator) external view returns (bool) {
+        return _voted[_roundKey(id)][operator];
+    }
+
+    function nonceUsed(address signer, uint256 nonce) external view returns (bool) {
+        return _usedNonces[signer][nonce];
+    }
+
+    /// @notice The non-terminal deal using `correlationIdHash`, or 0 if there is none.
+    function dealIdByCorrelation(bytes32 correlationIdHash) external view returns (uint256) {
+        return _activeCorrelations[correlationIdHash];
+    }
+
+    function nextId() external view returns (uint256) {
+        return _nextId + 1;
+    }
+    
+    function canRefund(uint256 id) external view returns (bool) {
+        Deal storage d = _deals[id];
+        if (d.state == State.NftDeposited) {
+            return block.timestamp >= d.depositTimestamp + d.agreementTimeout;
+        } else if (d.state == State.AgreementConfirmed) {
+            return _paymentTimedOut(id, d);
+        } else if (d.state == State.Failed) {
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * @notice Lets the holder of a raw value and its salt show that a hash-only deal committed to
+     * it, as its correlation id or as its agreement token.
+     */
+    function verifyCommitment(uint256 id, string calldata raw, bytes32 salt)
+        external
+        view
+        returns (bool correlationId, bool agreementToken)
+    {
+        string memory commitment = Strings.toHexString(uint256(keccak256(abi.encodePacked(salt, raw))), 32);
+        bytes32 commitmentHash = keccak256(bytes(commitment));
+        return (commitmentHash == _deals[id].correlationIdHash, commitmentHash == _deals[id].agreementTokenHash);
+    }
+}
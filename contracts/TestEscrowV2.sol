@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Escrow} from "./Escrow.sol";
+
+/// @dev Upgrade target for tests: appends state after Escrow's, so existing deals keep their slots.
+/// Parents were initialised through V1; initializeV2 only sets the new state.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract TestEscrowV2 is Escrow {
+    uint256 public upgradedAt;
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+contract StorageShift {
+    uint256 internal _shift;
+}
+
+/// @dev Incompatible upgrade for tests: StorageShift's slot lands before Escrow's state.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract TestEscrowBadLayout is StorageShift, Escrow {
+    function initializeV2() external reinitializer(2) {
+        _shift = 1;
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @dev Smart-wallet stand-in for tests whose ERC-721 receiver hook does costly bookkeeping;
+/// with `writes` at type(uint256).max it uses up whatever gas it is given.
+contract TestHeavyReceiver {
+    uint256 private immutable _writes;
+    mapping(uint256 => uint256) private _received;
+
+    constructor(uint256 writes) {
+        _writes = writes;
+    }
+
+    function onERC721Received(address, address, uint256 tokenId, bytes calldata) external returns (bytes4) {
+        for (uint256 i = 0; i < _writes; i++) {
+            _received[i] = tokenId + 1;
+        }
+        return this.onERC721Received.selector;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {ERC2981} from "@openzeppelin/contracts/token/common/ERC2981.sol";
+import {TestERC721} from "./TestERC721.sol";
+
+contract TestRoyaltyERC721 is TestERC721, ERC2981 {
+    constructor(address receiver, uint96 feeBps) {
+        _setDefaultRoyalty(receiver, feeBps);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
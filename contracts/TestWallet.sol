@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @dev Smart-wallet stand-in for tests: forwards calls for its owner and has no token receiver hooks.
+contract TestWallet {
+    address private immutable _owner;
+
+    constructor() {
+        _owner = msg.sender;
+    }
+
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == _owner, "not owner");
+        (bool ok, bytes memory result) = target.call(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
@@ -1,8 +1,13 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.28",
+    // Escrow is close to the 24 KB contract size limit: viaIR keeps it under with the optimizer on
+    settings: { optimizer: { enabled: true, runs: 200 }, viaIR: true, evmVersion: "cancun" },
+  },
   paths: {
     sources: "./contracts",
     tests: "./tests",
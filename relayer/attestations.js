@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+// EIP-712 types matching Escrow.AgreementAttestation / Escrow.PaymentAttestation / Escrow.PriceAmendment
+const AGREEMENT_TYPES = {
+  AgreementAttestation: [
+    { name: "id", type: "uint256" },
+    { name: "correlationId", type: "string" },
+    { name: "agreementToken", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+const PAYMENT_TYPES = {
+  PaymentAttestation: [
+    { name: "id", type: "uint256" },
+    { name: "receiptReference", type: "string" },
+    { name: "amountCents", type: "uint256" },
+    { name: "currency", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+const PRICE_AMENDMENT_TYPES = {
+  PriceAmendment: [
+    { name: "id", type: "uint256" },
+    { name: "correlationId", type: "string" },
+    { name: "priceCents", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// How long a signed attestation stays valid if no deadline is given
+const DEFAULT_TTL_SEC = 60 * 60;
+
+async function domainOf(escrow) {
+  const { name, version, chainId, verifyingContract } = await escrow.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/** Random nonce; the contract tracks nonces per signer without ordering. */
+function newNonce() {
+  return ethers.toBigInt(ethers.randomBytes(32));
+}
+
+async function sign(signer, escrow, types, fields, { nonce = newNonce(), deadline } = {}) {
+  if (deadline === undefined) {
+    const { timestamp } = await signer.provider.getBlock("latest");
+    deadline = timestamp + DEFAULT_TTL_SEC;
+  }
+  const attestation = { ...fields, nonce, deadline };
+  const signature = await signer.signTypedData(await domainOf(escrow), types, attestation);
+  return { attestation, signature };
+}
+
+/** Sign an AgreementAttestation ({ id, correlationId, agreementToken }) with an OPERATOR_ROLE signer. */
+function signAgreementAttestation(signer, escrow, fields, options) {
+  return sign(signer, escrow, AGREEMENT_TYPES, fields, options);
+}
+
+/** Sign a PaymentAttestation ({ id, receiptReference, amountCents, currency }) with an OPERATOR_ROLE signer. */
+function signPaymentAttestation(signer, escrow, fields, options) {
+  return sign(signer, escrow, PAYMENT_TYPES, fields, options);
+}
+
+/**
+ * Sign a PriceAmendment ({ id, correlationId, priceCents }) as the deal's seller or buyer. Both
+ * parties sign the same amendment, so pass the same `nonce` and `deadline` to each.
+ */
+function signPriceAmendment(signer, escrow, fields, options) {
+  return sign(signer, escrow, PRICE_AMENDMENT_TYPES, fields, options);
+}
+
+/**
+ * Sends confirmAgreement from the operator, or, with a `submitter`, has the operator sign
+ * the attestation and the submitter pay for confirmAgreementWithSig.
+ */
+async function sendConfirmAgreement(escrow, submitter, id, correlationId, agreementToken) {
+  if (!submitter) return escrow.confirmAgreement(id, correlationId, agreementToken);
+  const { attestation, signature } = await signAgreementAttestation(escrow.runner, escrow, {
+    id,
+    correlationId,
+    agreementToken,
+  });
+  return escrow.connect(submitter).confirmAgreementWithSig(attestation, signature);
+}
+
+/** confirmPayment counterpart of sendConfirmAgreement. */
+async function sendConfirmPayment(escrow, submitter, id, receiptReference, amountCents, currency) {
+  if (!submitter) return escrow.confirmPayment(id, receiptReference, amountCents, currency);
+  const { attestation, signature } = await signPaymentAttestation(escrow.runner, escrow, {
+    id,
+    receiptReference,
+    amountCents,
+    currency,
+  });
+  return escrow.connect(submitter).confirmPaymentWithSig(attestation, signature);
+}
+
+module.exports = {
+  AGREEMENT_TYPES,
+  PAYMENT_TYPES,
+  PRICE_AMENDMENT_TYPES,
+  signAgreementAttestation,
+  signPaymentAttestation,
+  signPriceAmendment,
+  sendConfirmAgreement,
+  sendConfirmPayment,
+};
@@ -0,0 +1,26 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * A hash-only deal (DealOptions.hashOnly) takes every correlation id, agreement token and
+ * receipt reference as its commitment keccak256(abi.encodePacked(salt, raw)), written as a
+ * 0x-prefixed hex string, so the raw banking references never appear in calldata or events.
+ * The salt is shared off-chain by the seller, the buyer and the relayer.
+ */
+function commit(raw, salt) {
+  return ethers.solidityPackedKeccak256(["bytes32", "string"], [salt, raw]);
+}
+
+/**
+ * A Relayer `reveal` source backed by a JSON file of disclosures, written by whatever receives them
+ * from sellers: { "<commitment>": { "value": "<raw value>", "salt": "0x<bytes32>" } }. The file is
+ * read on every lookup, so disclosures added while the relayer runs are picked up.
+ */
+function revealFromFile(file) {
+  return async (commitment) => {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"))[commitment] ?? null;
+  };
+}
+
+module.exports = { commit, revealFromFile };
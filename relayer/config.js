@@ -0,0 +1,75 @@
+/**
+ * Per-network relayer configuration.
+ * Values in NETWORKS are defaults; secrets and deployment addresses come from the environment.
+ */
+const NETWORKS = {
+  localhost: {
+    rpcUrl: "http://127.0.0.1:8545",
+    chainId: 31337,
+    startBlock: 0,
+    confirmations: 0,
+    blockRange: 10_000,
+    pollIntervalMs: 1_000,
+    quickstream: {
+      baseUrl: "http://127.0.0.1:8787/rest/v1",
+      supplierBusinessCode: "C01234",
+    },
+  },
+  sepolia: {
+    rpcUrl: "https://rpc.sepolia.org",
+    chainId: 11155111,
+    startBlock: null, // START_BLOCK, the Escrow deployment block, is required
+    confirmations: 3,
+    blockRange: 1_000, // public RPCs reject eth_getLogs over wider ranges
+    pollIntervalMs: 12_000,
+    quickstream: {
+      baseUrl: "https://api.quickstream.support.qvalent.com/rest/v1",
+      supplierBusinessCode: "",
+    },
+  },
+};
+
+/**
+ * Resolve the configuration for `network`, applying environment overrides.
+ * Throws if the network is unknown or a required value is missing.
+ */
+function loadConfig(network = process.env.RELAYER_NETWORK || "localhost", env = process.env) {
+  const base = NETWORKS[network];
+  if (!base) throw new Error(`Unknown relayer network: ${network}`);
+
+  const config = {
+    network,
+    ...base,
+    rpcUrl: env.RPC_URL || base.rpcUrl,
+    startBlock: env.START_BLOCK ? Number(env.START_BLOCK) : base.startBlock,
+    confirmations: env.CONFIRMATIONS ? Number(env.CONFIRMATIONS) : base.confirmations,
+    blockRange: env.BLOCK_RANGE ? Number(env.BLOCK_RANGE) : base.blockRange,
+    storeFile: env.RELAYER_STORE || `.relayer/${network}.json`,
+    escrowAddress: env.ESCROW_ADDRESS,
+    operatorKey: env.OPERATOR_PRIVATE_KEY,
+    // Optional gas-paying account that relays operator-signed confirmations
+    submitterKey: env.SUBMITTER_PRIVATE_KEY || "",
+    quickstream: {
+      ...base.quickstream,
+      baseUrl: env.QUICKSTREAM_BASE_URL || base.quickstream.baseUrl,
+      secretKey: env.QUICKSTREAM_SECRET_KEY || "",
+      supplierBusinessCode:
+        env.QUICKSTREAM_SUPPLIER_BUSINESS_CODE || base.quickstream.supplierBusinessCode,
+    },
+    webhook: {
+      port: Number(env.WEBHOOK_PORT || 8788),
+      secret: env.WEBHOOK_SECRET || "",
+    },
+    // JSON file of the raw values disclosed for hash-only deals (see commitments.js revealFromFile)
+    revealsFile: env.RELAYER_REVEALS || "",
+    // Maps buyer wallet address (lower-case) -> QuickStream customer id
+    customers: env.RELAYER_CUSTOMERS ? JSON.parse(env.RELAYER_CUSTOMERS) : {},
+  };
+
+  if (!config.escrowAddress) throw new Error("ESCROW_ADDRESS is required");
+  if (!config.operatorKey) throw new Error("OPERATOR_PRIVATE_KEY is required");
+  if (config.startBlock === null) throw new Error(`START_BLOCK is required on ${network}`);
+  return config;
+}
+
+module.exports = { NETWORKS, loadConfig };
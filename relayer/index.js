@@ -0,0 +1,74 @@
+const { ethers } = require("ethers");
+const { revealFromFile } = require("./commitments");
+const { loadConfig } = require("./config");
+const { QuickStreamClient } = require("./quickstream");
+const { Relayer } = require("./relayer");
+const { RelayerStore } = require("./store");
+const { WebhookReceiver } = require("./webhook");
+const { abi: coreAbi } = require("../artifacts/contracts/Escrow.sol/Escrow.json");
+const { abi: extensionAbi } = require("../artifacts/contracts/EscrowExtension.sol/EscrowExtension.json");
+const { abi: viewsAbi } = require("../artifacts/contracts/EscrowViews.sol/EscrowViews.json");
+
+// Escrow forwards the functions it does not define to EscrowExtension, and the extension its views to EscrowViews
+const abi = [
+  ...coreAbi,
+  ...[...extensionAbi, ...viewsAbi].filter((f) => f.type !== "constructor" && f.type !== "fallback"),
+];
+
+/**
+ * Usage: node relayer/index.js [network]
+ * e.g. against a local node started with `npx hardhat node`:
+ *   ESCROW_ADDRESS=0x... OPERATOR_PRIVATE_KEY=0x... node relayer/index.js localhost
+ */
+async function main() {
+  const config = loadConfig(process.argv[2]);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.chainId);
+  const operator = new ethers.Wallet(config.operatorKey, provider);
+  const escrow = new ethers.Contract(config.escrowAddress, abi, operator);
+  const submitter = config.submitterKey ? new ethers.Wallet(config.submitterKey, provider) : null;
+  const store = new RelayerStore(config.storeFile);
+
+  // With a webhook secret configured, payments are confirmed from QuickStream's signed notifications
+  const webhook = config.webhook.secret
+    ? new WebhookReceiver({
+        escrow,
+        store,
+        submitter,
+        ...config.webhook,
+        fromBlock: config.startBlock,
+        blockRange: config.blockRange,
+      })
+    : null;
+  const relayer = new Relayer({
+    escrow,
+    quickstream: new QuickStreamClient(config.quickstream),
+    store,
+    customers: config.customers,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations,
+    blockRange: config.blockRange,
+    paymentsViaWebhook: webhook !== null,
+    submitter,
+    // Without disclosures, hash-only deals wait in AwaitingReveal
+    reveal: config.revealsFile ? revealFromFile(config.revealsFile) : null,
+  });
+
+  console.log(`Relayer (${config.network}) watching Escrow at ${config.escrowAddress}`);
+  console.log("Operator:", operator.address);
+  if (submitter) console.log("Submitter:", submitter.address);
+  console.log("State:", config.storeFile);
+  if (config.revealsFile) console.log("Disclosures:", config.revealsFile);
+  relayer.start(config.pollIntervalMs);
+  if (webhook) console.log("Payment webhooks on", await webhook.start());
+
+  process.on("SIGINT", () => {
+    relayer.stop();
+    if (webhook) webhook.stop();
+    provider.destroy();
+  });
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
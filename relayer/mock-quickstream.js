@@ -0,0 +1,348 @@
+const http = require("http");
+const { AgreementStatus, TransactionStatus, amountToCents, centsToAmount } = require("./quickstream");
+const { signWebhook, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require("./webhook");
+
+/**
+ * Local stand-in for the QuickStream PayTo REST API, for offline integration testing.
+ *
+ * Implements the endpoints used by the relayer under `basePath`:
+ *   POST /customers/{id}/payto-agreements   GET /payto-agreements/{token}
+ *   POST /transactions                      GET /transactions/{receiptNumber}
+ * and fires a payment webhook to `webhookUrl` when a transaction settles, signed with
+ * `webhookSecret` when one is given.
+ *
+ * POSTs honour the Idempotency-Key header: a repeated key replays the original response.
+ *
+ * Agreements and transactions stay pending until they are authorised/settled, either
+ * automatically (autoAuthoriseMs / autoSettleMs) or by the test through the scripting
+ * methods below or the `/__mock` control endpoints.
+ *
+ * Failures are injected per operation with injectFailure({ operation, type, ... }):
+ *   operation: createAgreement | getAgreement | createTransaction | getTransaction
+ *              | authoriseAgreement | settleTransaction | webhook
+ *   type:      "timeout"     never respond to the request (API operations)
+ *              "error"       respond with HTTP `status` (default 500) (API operations)
+ *              "decline"     the agreement/payment is declined (authoriseAgreement, settleTransaction)
+ *              "wrongAmount" the payment settles `deltaCents` (default -1) off (settleTransaction)
+ *              "wrongCurrency" the payment settles in `currency` (default "USD") (settleTransaction)
+ *              "drop"        the webhook is not delivered (webhook)
+ *              "duplicate"   the webhook is delivered twice (webhook)
+ * Each injected failure applies to the next `times` (default 1) matching operations.
+ */
+class MockQuickStream {
+  constructor({
+    port = 0,
+    basePath = "/rest/v1",
+    webhookUrl = null,
+    webhookSecret = null,
+    autoAuthoriseMs = null,
+    autoSettleMs = null,
+    logger = null,
+  } = {}) {
+    this.port = port;
+    this.basePath = basePath;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret;
+    this.autoAuthoriseMs = autoAuthoriseMs;
+    this.autoSettleMs = autoSettleMs;
+    this.logger = logger;
+    this._server = null;
+    this._timers = new Set();
+    this._hung = new Set();
+    this.reset();
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this._server.address().port}`;
+  }
+
+  get baseUrl() {
+    return `${this.url}${this.basePath}`;
+  }
+
+  async start() {
+    this._server = http.createServer((req, res) => {
+      this._route(req, res).catch((err) => this._send(res, 500, { error: err.message }));
+    });
+    await new Promise((resolve) => this._server.listen(this.port, "127.0.0.1", resolve));
+    return this.baseUrl;
+  }
+
+  async stop() {
+    for (const timer of this._timers) clearTimeout(timer);
+    this._timers.clear();
+    for (const res of this._hung) res.destroy();
+    this._hung.clear();
+    if (this._server) await new Promise((resolve) => this._server.close(resolve));
+    this._server = null;
+  }
+
+  reset() {
+    this.agreements = new Map(); // agreementToken -> agreement
+    this.transactions = new Map(); // receiptNumber -> transaction
+    this.webhooks = []; // payloads delivered to webhookUrl
+    this.idempotentResponses = new Map(); // Idempotency-Key -> { status, body }
+    this._failures = [];
+    this._seq = 0;
+  }
+
+  // -------- Scripting -------- //
+
+  injectFailure({ operation, type, times = 1, ...options }) {
+    this._failures.push({ operation, type, remaining: times, ...options });
+  }
+
+  authoriseAgreement(agreementToken) {
+    const agreement = this._agreement(agreementToken);
+    const failure = this._takeFailure("authoriseAgreement");
+    agreement.status = failure && failure.type === "decline" ? AgreementStatus.Declined : AgreementStatus.Active;
+    return agreement;
+  }
+
+  declineAgreement(agreementToken) {
+    const agreement = this._agreement(agreementToken);
+    agreement.status = AgreementStatus.Declined;
+    return agreement;
+  }
+
+  async settleTransaction(receiptNumber) {
+    const txn = this._transaction(receiptNumber);
+    const failure = this._takeFailure("settleTransaction");
+    if (failure && failure.type === "decline") {
+      txn.status = TransactionStatus.Declined;
+    } else {
+      if (failure && failure.type === "wrongAmount") {
+        txn.principalAmount = centsToAmount(amountToCents(txn.principalAmount) + BigInt(failure.deltaCents ?? -1));
+      } else if (failure && failure.type === "wrongCurrency") {
+        txn.currency = failure.currency ?? "USD";
+      }
+      txn.status = TransactionStatus.Approved;
+    }
+    await this._fireWebhook(txn);
+    return txn;
+  }
+
+  async declineTransaction(receiptNumber) {
+    const txn = this._transaction(receiptNumber);
+    txn.status = TransactionStatus.Declined;
+    await this._fireWebhook(txn);
+    return txn;
+  }
+
+  /** Latest transaction accepted for a correlation (endToEndId), if any. */
+  transactionByCorrelation(correlationId) {
+    return [...this.transactions.values()].reverse().find((t) => t.endToEndId === correlationId);
+  }
+
+  // -------- HTTP -------- //
+
+  async _route(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const body = await readJson(req);
+    let m;
+
+    if (pathname.startsWith("/__mock/")) return this._control(req.method, pathname, body, res);
+
+    const path = pathname.startsWith(this.basePath) ? pathname.slice(this.basePath.length) : null;
+    if (path === null) return this._send(res, 404, { error: "Not found" });
+
+    const idempotencyKey = req.method === "POST" && req.headers["idempotency-key"];
+    if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+      const { status, body: replayed } = this.idempotentResponses.get(idempotencyKey);
+      return this._send(res, status, replayed);
+    }
+    res.idempotencyKey = idempotencyKey;
+
+    if (req.method === "POST" && (m = path.match(/^\/customers\/([^/]+)\/payto-agreements$/))) {
+      if (this._failRequest("createAgreement", res)) return;
+      return this._send(res, 201, this._createAgreement(decodeURIComponent(m[1]), body));
+    }
+    if (req.method === "GET" && (m = path.match(/^\/payto-agreements\/([^/]+)$/))) {
+      if (this._failRequest("getAgreement", res)) return;
+      const agreement = this.agreements.get(decodeURIComponent(m[1]));
+      return agreement ? this._send(res, 200, agreement) : this._send(res, 404, { error: "Unknown agreement" });
+    }
+    if (req.method === "POST" && path === "/transactions") {
+      if (this._failRequest("createTransaction", res)) return;
+      return this._createTransaction(body, res);
+    }
+    if (req.method === "GET" && (m = path.match(/^\/transactions\/([^/]+)$/))) {
+      if (this._failRequest("getTransaction", res)) return;
+      const txn = this.transactions.get(decodeURIComponent(m[1]));
+      return txn ? this._send(res, 200, txn) : this._send(res, 404, { error: "Unknown transaction" });
+    }
+    return this._send(res, 404, { error: "Not found" });
+  }
+
+  async _control(method, pathname, body, res) {
+    let m;
+    if (method === "GET" && pathname === "/__mock/state") {
+      return this._send(res, 200, {
+        agreements: [...this.agreements.values()],
+        transactions: [...this.transactions.values()],
+        webhooks: this.webhooks,
+      });
+    }
+    if (method === "POST" && pathname === "/__mock/reset") {
+      this.reset();
+      return this._send(res, 204);
+    }
+    if (method === "POST" && pathname === "/__mock/failures") {
+      this.injectFailure(body);
+      return this._send(res, 204);
+    }
+    if (method === "POST" && (m = pathname.match(/^\/__mock\/agreements\/([^/]+)\/(authorise|decline)$/))) {
+      const token = decodeURIComponent(m[1]);
+      return this._send(res, 200, m[2] === "authorise" ? this.authoriseAgreement(token) : this.declineAgreement(token));
+    }
+    if (method === "POST" && (m = pathname.match(/^\/__mock\/transactions\/([^/]+)\/(settle|decline)$/))) {
+      const receipt = decodeURIComponent(m[1]);
+      return this._send(
+        res,
+        200,
+        m[2] === "settle" ? await this.settleTransaction(receipt) : await this.declineTransaction(receipt)
+      );
+    }
+    return this._send(res, 404, { error: "Not found" });
+  }
+
+  _createAgreement(customerId, body) {
+    const agreement = {
+      agreementToken: `PTA-${++this._seq}`,
+      customerId,
+      supplierBusinessCode: body.supplierBusinessCode,
+      agreementReference: body.agreementReference,
+      paymentDetails: body.paymentDetails,
+      status: AgreementStatus.Created,
+    };
+    this.agreements.set(agreement.agreementToken, agreement);
+    this._log(`agreement ${agreement.agreementToken} created for ${customerId}`);
+    if (this.autoAuthoriseMs !== null) {
+      this._schedule(this.autoAuthoriseMs, () => this.authoriseAgreement(agreement.agreementToken));
+    }
+    return agreement;
+  }
+
+  _createTransaction(body, res) {
+    const agreement = this.agreements.get(body.agreementToken);
+    if (!agreement || agreement.status !== AgreementStatus.Active) {
+      return this._send(res, 422, { error: "Agreement is not active" });
+    }
+    // Payments are keyed by endToEndId, so a retried submission returns the original transaction
+    // while it is pending; once settled or declined, a new payment (retry or next instalment) is accepted
+    const existing = this.transactionByCorrelation(body.endToEndId);
+    if (existing && existing.status === TransactionStatus.Pending) return this._send(res, 200, existing);
+
+    const txn = {
+      receiptNumber: `RXN-${++this._seq}`,
+      transactionType: body.transactionType,
+      agreementToken: body.agreementToken,
+      endToEndId: body.endToEndId,
+      principalAmount: body.principalAmount,
+      currency: body.currency,
+      status: TransactionStatus.Pending,
+    };
+    this.transactions.set(txn.receiptNumber, txn);
+    this._log(`transaction ${txn.receiptNumber} accepted for ${txn.endToEndId}`);
+    if (this.autoSettleMs !== null) {
+      this._schedule(this.autoSettleMs, () => this.settleTransaction(txn.receiptNumber));
+    }
+    return this._send(res, 201, txn);
+  }
+
+  async _fireWebhook(txn) {
+    const failure = this._takeFailure("webhook");
+    if (!this.webhookUrl || (failure && failure.type === "drop")) return;
+
+    const payload = {
+      eventType: txn.status === TransactionStatus.Approved ? "PAYMENT_SUCCEEDED" : "PAYMENT_FAILED",
+      data: { ...txn },
+    };
+    const body = JSON.stringify(payload);
+    const headers = { "Content-Type": "application/json" };
+    if (this.webhookSecret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers[TIMESTAMP_HEADER] = String(timestamp);
+      headers[SIGNATURE_HEADER] = signWebhook(this.webhookSecret, timestamp, body);
+    }
+    const deliveries = failure && failure.type === "duplicate" ? 2 : 1;
+    for (let i = 0; i < deliveries; i++) {
+      this.webhooks.push(payload);
+      try {
+        await fetch(this.webhookUrl, { method: "POST", headers, body });
+      } catch (err) {
+        this._log(`webhook delivery failed: ${err.message}`);
+      }
+    }
+  }
+
+  _failRequest(operation, res) {
+    const failure = this._takeFailure(operation);
+    if (!failure) return false;
+    if (failure.type === "timeout") {
+      this._hung.add(res);
+    } else {
+      this._send(res, failure.status ?? 500, { error: `Injected ${operation} failure` });
+    }
+    return true;
+  }
+
+  _takeFailure(operation) {
+    const index = this._failures.findIndex((f) => f.operation === operation);
+    if (index === -1) return null;
+    const failure = this._failures[index];
+    if (--failure.remaining <= 0) this._failures.splice(index, 1);
+    return failure;
+  }
+
+  _agreement(agreementToken) {
+    const agreement = this.agreements.get(agreementToken);
+    if (!agreement) throw new Error(`Unknown agreement ${agreementToken}`);
+    return agreement;
+  }
+
+  _transaction(receiptNumber) {
+    const txn = this.transactions.get(receiptNumber);
+    if (!txn) throw new Error(`Unknown transaction ${receiptNumber}`);
+    return txn;
+  }
+
+  _schedule(ms, fn) {
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      Promise.resolve(fn()).catch((err) => this._log(err.message));
+    }, ms);
+    this._timers.add(timer);
+  }
+
+  _send(res, status, body) {
+    if (res.idempotencyKey && status < 300) this.idempotentResponses.set(res.idempotencyKey, { status, body });
+    res.writeHead(status, body === undefined ? {} : { "Content-Type": "application/json" });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  _log(message) {
+    if (this.logger) this.logger.info(`[mock-quickstream] ${message}`);
+  }
+}
+
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+}
+
+if (require.main === module) {
+  const mock = new MockQuickStream({
+    port: Number(process.env.MOCK_QUICKSTREAM_PORT || 8787),
+    webhookUrl: process.env.MOCK_QUICKSTREAM_WEBHOOK_URL || null,
+    webhookSecret: process.env.WEBHOOK_SECRET || null,
+    autoAuthoriseMs: Number(process.env.MOCK_QUICKSTREAM_AUTHORISE_MS || 2_000),
+    autoSettleMs: Number(process.env.MOCK_QUICKSTREAM_SETTLE_MS || 2_000),
+    logger: console,
+  });
+  mock.start().then((url) => console.log(`Mock QuickStream listening at ${url}`));
+  process.on("SIGINT", () => mock.stop());
+}
+
+module.exports = { MockQuickStream };
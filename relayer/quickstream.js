@@ -0,0 +1,135 @@
+/**
+ * Minimal QuickStream REST client covering the PayTo agreement and transaction endpoints
+ * used by the relayer. Authentication is HTTP Basic with the secret API key as username.
+ * POSTs may carry an Idempotency-Key so a retried request returns the original result.
+ */
+class QuickStreamError extends Error {
+  constructor(status, body) {
+    super(`QuickStream request failed with HTTP ${status}`);
+    this.name = "QuickStreamError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// PayTo agreement statuses reported by QuickStream
+const AgreementStatus = {
+  Created: "CREATED",
+  Active: "ACTIVE",
+  Suspended: "SUSPENDED",
+  Cancelled: "CANCELLED",
+  Declined: "DECLINED",
+};
+
+// Transaction statuses reported by QuickStream
+const TransactionStatus = {
+  Approved: "Approved",
+  Pending: "Pending",
+  Declined: "Declined",
+};
+
+/** Format integer cents (number or bigint) as a decimal amount, e.g. 100000 -> "1000.00". */
+function centsToAmount(cents) {
+  const value = BigInt(cents);
+  return `${value / 100n}.${(value % 100n).toString().padStart(2, "0")}`;
+}
+
+/** Parse a decimal amount into integer cents, e.g. "1000.00" -> 100000n. */
+function amountToCents(amount) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  return BigInt(whole) * 100n + BigInt(fraction.padEnd(2, "0").slice(0, 2));
+}
+
+class QuickStreamClient {
+  constructor({
+    baseUrl,
+    secretKey = "",
+    supplierBusinessCode = "",
+    timeoutMs = 30_000,
+    fetchImpl = globalThis.fetch,
+  }) {
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.supplierBusinessCode = supplierBusinessCode;
+    this.timeoutMs = timeoutMs;
+    this._auth = `Basic ${Buffer.from(`${secretKey}:`).toString("base64")}`;
+    this._fetch = fetchImpl;
+  }
+
+  /**
+   * POST /customers/{customerId}/payto-agreements
+   * Creates a PayTo agreement that the payer must authorise in their banking app.
+   */
+  async createPayToAgreement(customerId, { correlationId, amountCents, description }, { idempotencyKey } = {}) {
+    return this._request(
+      "POST",
+      `/customers/${encodeURIComponent(customerId)}/payto-agreements`,
+      {
+        supplierBusinessCode: this.supplierBusinessCode,
+        agreementReference: correlationId,
+        description,
+        paymentDetails: {
+          amount: centsToAmount(amountCents),
+          frequency: "ADHOC",
+        },
+      },
+      idempotencyKey
+    );
+  }
+
+  /** GET /payto-agreements/{agreementToken} */
+  async getPayToAgreement(agreementToken) {
+    return this._request("GET", `/payto-agreements/${encodeURIComponent(agreementToken)}`);
+  }
+
+  /**
+   * POST /transactions
+   * Collects a payment under an authorised agreement. endToEndId carries the correlation id.
+   */
+  async createTransaction({ agreementToken, correlationId, amountCents, currency }, { idempotencyKey } = {}) {
+    return this._request(
+      "POST",
+      "/transactions",
+      {
+        transactionType: "PAYMENT",
+        supplierBusinessCode: this.supplierBusinessCode,
+        agreementToken,
+        principalAmount: centsToAmount(amountCents),
+        currency,
+        endToEndId: correlationId,
+      },
+      idempotencyKey
+    );
+  }
+
+  /** GET /transactions/{receiptNumber} */
+  async getTransaction(receiptNumber) {
+    return this._request("GET", `/transactions/${encodeURIComponent(receiptNumber)}`);
+  }
+
+  async _request(method, path, body, idempotencyKey) {
+    const res = await this._fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: this._auth,
+        Accept: "application/json",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    const text = await res.text();
+    const json = text ? JSON.parse(text) : {};
+    if (!res.ok) throw new QuickStreamError(res.status, json);
+    return json;
+  }
+}
+
+module.exports = {
+  QuickStreamClient,
+  QuickStreamError,
+  AgreementStatus,
+  TransactionStatus,
+  amountToCents,
+  centsToAmount,
+};
@@ -0,0 +1,713 @@
+const { ethers } = require("ethers");
+const { AgreementStatus, TransactionStatus, amountToCents } = require("./quickstream");
+const { sendConfirmAgreement, sendConfirmPayment } = require("./attestations");
+const { RelayerStore, JobStatus } = require("./store");
+const { commit } = require("./commitments");
+
+// Escrow.State values the relayer checks before finalising on-chain
+const DealState = {
+  NftDeposited: 2n,
+  AgreementConfirmed: 3n,
+  Paid: 4n,
+  Cancelled: 5n,
+  Refunded: 6n,
+  Failed: 7n,
+  Disputed: 8n,
+  PaidPendingRelease: 10n,
+};
+
+// Jobs a refund or cancellation leaves alone: already closed, or about to be by the job's own checks
+const SETTLED_STATUSES = new Set([
+  JobStatus.Paid,
+  JobStatus.ReleasePending,
+  JobStatus.Reversed,
+  JobStatus.Resolved,
+  JobStatus.Expired,
+  JobStatus.Withdrawn,
+  JobStatus.Refunded,
+  JobStatus.Cancelled,
+  JobStatus.RefundDue,
+]);
+
+// Escrow.PAUSE_CONFIRMATIONS: confirmAgreement / confirmPayment are halted by the guardian
+const PAUSE_CONFIRMATIONS = 4n;
+
+// Reason codes reported on-chain when QuickStream settles a different amount or currency than the deal's
+const AMOUNT_MISMATCH = "AMOUNT_MISMATCH";
+const CURRENCY_MISMATCH = "CURRENCY_MISMATCH";
+
+/**
+ * True if `err` is an on-chain revert rather than a transport or node failure.
+ * JSON-RPC providers report reverts as CALL_EXCEPTION; the in-process Hardhat network
+ * throws an error carrying the revert data instead.
+ */
+function isRevert(err) {
+  return err.code === "CALL_EXCEPTION" || (err.code === undefined && typeof err.data === "string");
+}
+
+/** True while the Escrow circuit breaker blocks operator confirmations. */
+async function confirmationsPaused(escrow) {
+  return ((await escrow.pausedFlags()) & PAUSE_CONFIRMATIONS) !== 0n;
+}
+
+/** Splits the blocks `from`..`to` into [start, end] ranges of at most `size` blocks, for eth_getLogs. */
+function* blockRanges(from, to, size) {
+  for (let start = from; start <= to; start += size) yield [start, Math.min(to, start + size - 1)];
+}
+
+/**
+ * Job status once confirmPayment for `instalment` has been sent: the payment may still be
+ * waiting for other operators' votes (paymentQuorum), have paid an instalment, or have paid
+ * the full price, possibly with the release held for the settlement window. A payment whose
+ * deal was refunded or cancelled in the meantime is owed back to the buyer (RefundDue).
+ */
+async function paymentJobStatus(escrow, id, instalment = 1) {
+  const { state } = await escrow.getDeal(id);
+  if (state === DealState.PaidPendingRelease) return JobStatus.ReleasePending;
+  if (state === DealState.Refunded || state === DealState.Cancelled) return JobStatus.RefundDue;
+  if (state !== DealState.AgreementConfirmed) return JobStatus.Paid;
+  const plan = await escrow.getInstalmentPlan(id);
+  return plan.count === 0n || plan.paid < BigInt(instalment) ? JobStatus.AwaitingQuorum : JobStatus.InstalmentPaid;
+}
+
+/**
+ * Off-chain relayer that drives the PayTo flow from Escrow intent events.
+ *
+ * PayToAgreementRequested -> create a PayTo agreement, wait for the payer to authorise it,
+ *                            then confirmAgreement(id, correlationId, agreementToken).
+ * PayToPaymentRequested   -> collect the payment (or instalment) under the agreement once it
+ *                            falls due, wait for approval, then
+ *                            confirmPayment(id, receiptNumber, amountCents, currency).
+ *
+ * Progress is kept in a RelayerStore so a restarted relayer resumes from its block cursor
+ * and never issues a second agreement or payment for the same deal: every QuickStream POST
+ * carries an idempotency key recorded before the request is sent. Events are only handled
+ * once `confirmations` blocks deep, and the cursor is rewound when a reorg replaces blocks
+ * that were already processed. Logs are fetched `blockRange` blocks at a time, and the cursor
+ * advances after each range.
+ *
+ * With `paymentsViaWebhook`, payments are only submitted here and confirmed on-chain by the
+ * WebhookReceiver when QuickStream's payment notification arrives.
+ *
+ * A declined agreement or failed payment is reported on-chain (reportAgreementRejected /
+ * reportPaymentFailed) so the seller can reclaim the NFT or retry; a retry re-emits the
+ * request event and is handled as a new attempt with a fresh idempotency key.
+ *
+ * A scheduled payment is only collected while the deal is AgreementConfirmed and its agreement
+ * not suspended. NftRefunded and EscrowCancelled close the job (Refunded / Cancelled), unless a
+ * payment was already submitted: that one is still followed.
+ *
+ * EscrowExpired closes the job of a deal whose offer lapsed before deposit; no agreement
+ * is ever requested for it. A deal opened with requireBuyerAcceptance only emits
+ * PayToAgreementRequested once the buyer has accepted it, and BuyerDeclined / BuyerCancelled
+ * close the job, dropping an agreement still awaiting authorisation.
+ *
+ * A PriceAmended deal whose agreement was already requested gets a new agreement, for the
+ * amended price, from the PayToAgreementRequested the amendment re-emits.
+ *
+ * AgreementSuspended holds the deal's job, so nothing is collected under the suspended
+ * agreement. After AgreementAmended or AgreementResumed the re-issued PayToPaymentRequested is
+ * collected as a new attempt, under the amended token, unless a payment submitted before the
+ * change is still pending or has settled: that payment is confirmed instead.
+ *
+ * DisputeRaised pauses the deal's job until the arbiter's DisputeResolved: a payment that
+ * settles in the meantime is not confirmed on-chain. A payment submitted before the dispute is
+ * followed again after it, and recorded as paid or, if the NFT went back to the seller, refund due.
+ *
+ * Under a paymentQuorum each operator runs its own relayer; confirmPayment then casts this
+ * operator's vote and the job waits in AwaitingQuorum until the payment is accepted.
+ *
+ * PayoutInstruction, emitted when a fully paid deal is released, is recorded on the deal's job
+ * as `payout`: the cents owed to the seller, the platform fee recipient and the royalty receiver,
+ * for whoever disburses the settlement. A payment reversed in the settlement window never gets one.
+ *
+ * With a settlementWindow, a paid deal waits in PaidPendingRelease: a payment QuickStream no
+ * longer reports as Approved before the window ends is reported with reportPaymentReversed,
+ * and once the window has passed the relayer calls finalizeRelease.
+ *
+ * While the guardian has paused confirmations, no agreement or payment is confirmed and no
+ * payment is collected; jobs stay where they are and resume on the first poll after Unpaused.
+ *
+ * On a hash-only deal the escrow only sees commitments (see commitments.js). The relayer learns
+ * the raw correlation id and its salt from `reveal(commitment)`, e.g. revealFromFile, which
+ * returns `{ value, salt }` or null if nothing was disclosed yet; the job then waits in
+ * AwaitingReveal and the event is retried on every poll. Without `reveal`, hash-only deals
+ * stay there. The salt is kept on the job, so the relayer commits to agreement tokens and
+ * receipt references itself when it confirms them on-chain.
+ *
+ * `escrow` must be an ethers Contract connected to a signer holding OPERATOR_ROLE. With a
+ * `submitter` signer, that operator only signs EIP-712 attestations and the submitter pays
+ * for confirmAgreementWithSig / confirmPaymentWithSig.
+ */
+class Relayer {
+  constructor({
+    escrow,
+    quickstream,
+    store = new RelayerStore(),
+    customers = {},
+    startBlock = 0,
+    confirmations = 0,
+    blockRange = 1_000,
+    paymentsViaWebhook = false,
+    submitter = null,
+    reveal = null,
+    logger = console,
+  }) {
+    this.escrow = escrow;
+    this.submitter = submitter;
+    this.reveal = reveal;
+    this.quickstream = quickstream;
+    this.store = store;
+    this.customers = Object.fromEntries(
+      Object.entries(customers).map(([address, customerId]) => [address.toLowerCase(), customerId])
+    );
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.paymentsViaWebhook = paymentsViaWebhook;
+    this.logger = logger;
+
+    this._handlers = {
+      PayToAgreementRequested: (args) => this._onAgreementRequested(args),
+      PayToPaymentRequested: (args) => this._onPaymentRequested(args),
+      DisputeRaised: (args) => this._onDisputeRaised(args),
+      DisputeResolved: (args) => this._onDisputeResolved(args),
+      EscrowExpired: (args) => this._onEscrowExpired(args),
+      BuyerDeclined: (args) => this._onBuyerWithdrew(args, "declined"),
+      BuyerCancelled: (args) => this._onBuyerWithdrew(args, "cancelled"),
+      NftRefunded: (args) => this._onDealClosed(args, JobStatus.Refunded),
+      EscrowCancelled: (args) => this._onDealClosed(args, JobStatus.Cancelled),
+      PriceAmended: (args) => this._onPriceAmended(args),
+      PayoutInstruction: (args) => this._onPayoutInstruction(args),
+      AgreementSuspended: (args) => this._onAgreementSuspended(args),
+      AgreementAmended: (args) => this._onAgreementChanged(args, "amended"),
+      AgreementResumed: (args) => this._onAgreementChanged(args, "resumed"),
+      PaymentConfirmationConflict: (args) => this._onConfirmationConflict(args),
+      Paused: (args) => this._onPaused(args),
+      Unpaused: (args) => this._onUnpaused(args),
+    };
+    this._paused = false;
+    this._timer = null;
+  }
+
+  get provider() {
+    return this.escrow.runner.provider;
+  }
+
+  /** Poll on an interval until stop() is called. */
+  start(intervalMs) {
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (err) {
+        this.logger.error("relayer poll failed:", err);
+      }
+      if (this._timer !== null) this._timer = setTimeout(tick, intervalMs);
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Process all new Escrow events that have enough confirmations, then re-check
+   * agreements and payments that are still waiting on QuickStream.
+   * An event whose handler fails is queued on its deal's job, with the error, and handled
+   * again on the next poll; later events for that deal queue up behind it. Other deals,
+   * and the cursor, carry on.
+   */
+  async poll() {
+    await this._rewindOnReorg();
+    this._paused = await confirmationsPaused(this.escrow);
+    await this._retryEvents();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    for (const [from, to] of blockRanges(this.store.nextBlock ?? this.startBlock, head, this.blockRange)) {
+      const logs = await this.escrow.queryFilter("*", from, to);
+      for (const log of logs) await this._handle(log);
+      const block = await this.provider.getBlock(to);
+      this.store.advance({ number: to, hash: block.hash });
+    }
+
+    if (this._paused) return;
+    await this._checkPendingAgreements();
+    await this._checkScheduledPayments();
+    await this._checkPendingPayments();
+  }
+
+  customerIdFor(buyer) {
+    const customerId = this.customers[buyer.toLowerCase()];
+    if (!customerId) throw new Error(`No QuickStream customer configured for buyer ${buyer}`);
+    return customerId;
+  }
+
+  // Rewinds the cursor to just after the newest checkpoint that is still on the canonical chain
+  async _rewindOnReorg() {
+    const checkpoints = this.store.checkpoints;
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i < checkpoints.length - 1) this._rewind(checkpoints[i].number + 1);
+        return;
+      }
+    }
+    if (checkpoints.length > 0) this._rewind(Math.max(this.startBlock, checkpoints[0].number - this.confirmations));
+  }
+
+  _rewind(nextBlock) {
+    this.logger.warn(`reorg detected: re-scanning from block ${nextBlock}`);
+    this.store.rewind(nextBlock);
+  }
+
+  async _handle(log) {
+    const handler = log.fragment && this._handlers[log.fragment.name];
+    if (!handler) return;
+    const id = log.fragment.inputs.some((input) => input.name === "id") ? log.args.id : undefined;
+    const event = { name: log.fragment.name, blockNumber: log.blockNumber, index: log.index, txHash: log.transactionHash };
+    const queued = id === undefined ? [] : this.store.deal(id)?.retryEvents || [];
+    if (queued.length > 0) {
+      // Behind an earlier event of the deal; a re-scanned event is only queued once
+      if (!queued.some((e) => e.txHash === event.txHash && e.index === event.index)) {
+        this.store.updateDeal(id, { retryEvents: [...queued, event] });
+      }
+      return;
+    }
+    try {
+      await handler(log.args);
+    } catch (err) {
+      if (id === undefined) throw err;
+      this._deferEvents(id, [event], err);
+    }
+  }
+
+  _deferEvents(id, retryEvents, err) {
+    this.logger.error(`deal ${id}: ${retryEvents[0].name} failed, retrying on the next poll:`, err.message);
+    this.store.updateDeal(id, { retryEvents, error: err.message });
+  }
+
+  // Handles the events queued on each job again, in order, up to the first that still fails
+  async _retryEvents() {
+    for (const [id, job] of this.store.dealsWithRetries()) {
+      // The handlers see the job as it was before it waited for a reveal
+      if (job.status === JobStatus.AwaitingReveal) this.store.updateDeal(id, { status: job.statusBeforeReveal });
+      const events = [...job.retryEvents];
+      while (events.length > 0) {
+        const event = events[0];
+        const logs = await this.escrow.queryFilter("*", event.blockNumber, event.blockNumber);
+        // Gone if a reorg dropped it; the re-scan of the new branch queues whatever replaced it
+        const log = logs.find((l) => l.transactionHash === event.txHash && l.index === event.index);
+        try {
+          if (log) await this._handlers[event.name](log.args);
+        } catch (err) {
+          this._deferEvents(id, events, err);
+          break;
+        }
+        events.shift();
+        this.store.updateDeal(id, { retryEvents: events, error: null });
+      }
+    }
+  }
+
+  // Runs `check` for every job in `status`; a deal whose check fails is logged and checked again next poll
+  async _forEachJob(status, check) {
+    for (const [id, job] of this.store.dealsWithStatus(status)) {
+      try {
+        await check(id, job);
+      } catch (err) {
+        this.logger.error(`deal ${id}: ${status} check failed:`, err.message);
+      }
+    }
+  }
+
+  _idempotencyKey(id, step, attempt = 1) {
+    const suffix = attempt > 1 ? `-${attempt}` : "";
+    return `escrow-${this.escrow.target}-${id}-${step}${suffix}`.toLowerCase();
+  }
+
+  // Raw value behind a string from the escrow: on a hash-only deal it is a commitment to one of
+  // the job's own values or to one disclosed through `reveal`
+  async _revealed(id, job, deal, value) {
+    if (!deal.hashOnly) return { value };
+    for (const known of [job.correlationId, job.agreementToken]) {
+      if (known && job.salt && commit(known, job.salt) === value) return { value: known, salt: job.salt };
+    }
+    const revealed = this.reveal && (await this.reveal(value));
+    if (!revealed || commit(revealed.value, revealed.salt) !== value) {
+      // Parked until the disclosure arrives; the event is retried on every poll (see _retryEvents)
+      if (job.status !== JobStatus.AwaitingReveal) {
+        this.store.updateDeal(id, { status: JobStatus.AwaitingReveal, statusBeforeReveal: job.status ?? null });
+      }
+      throw new Error(`deal ${id}: no raw value disclosed for commitment ${value}`);
+    }
+    return revealed;
+  }
+
+  // What the escrow takes for a raw value: its commitment on a hash-only deal
+  _onChain(job, value) {
+    return job.salt ? commit(value, job.salt) : value;
+  }
+
+  // A request event for a failed job is either a retry or the failed request re-scanned
+  async _isRetry(id, job, expectedState) {
+    return job.status === JobStatus.Failed && (await this.escrow.getDeal(id)).state === expectedState;
+  }
+
+  async _onAgreementRequested({ id, correlationIdRaw }) {
+    const job = this.store.deal(id) || {};
+    let attempt = job.agreementAttempt || 1;
+    if (job.status === JobStatus.Failed) {
+      if (!(await this._isRetry(id, job, DealState.NftDeposited))) return;
+      attempt += 1;
+    } else if (job.status === JobStatus.PriceAmended) {
+      attempt += 1; // a new agreement for the amended price
+    } else if (job.agreementToken) {
+      return; // already created (event re-scanned after restart or reorg)
+    }
+
+    const deal = await this.escrow.getDeal(id);
+    const { value: correlationId, salt = null } = await this._revealed(id, job, deal, correlationIdRaw);
+    const agreementKey =
+      job.status === JobStatus.AgreementRequested ? job.agreementKey : this._idempotencyKey(id, "agreement", attempt);
+    this.store.updateDeal(id, {
+      status: JobStatus.AgreementRequested,
+      correlationId,
+      salt,
+      agreementKey,
+      agreementAttempt: attempt,
+      agreementToken: null,
+      reason: null,
+    });
+
+    const agreement = await this.quickstream.createPayToAgreement(
+      this.customerIdFor(deal.buyer),
+      { correlationId, amountCents: deal.priceCents, description: `Escrow deal ${id}` },
+      { idempotencyKey: agreementKey }
+    );
+    this.store.updateDeal(id, {
+      status: JobStatus.AwaitingAuthorisation,
+      agreementToken: agreement.agreementToken,
+      agreementCents: deal.priceCents.toString(),
+    });
+    this.logger.info(`deal ${id}: PayTo agreement ${agreement.agreementToken} created`);
+  }
+
+  async _onPaymentRequested({ id, correlationIdRaw, agreementToken, amountCents, instalment, dueTimestamp }) {
+    const job = this.store.deal(id) || {};
+    const n = Number(instalment);
+    const current = job.instalment || 1;
+    let attempt = n > current ? 1 : job.paymentAttempt || 1;
+    if (n < current) {
+      return; // an earlier instalment re-scanned after restart or reorg
+    } else if (n === current && job.status === JobStatus.Failed) {
+      if (!(await this._isRetry(id, job, DealState.AgreementConfirmed))) return;
+      attempt += 1;
+    } else if (n === current && job.status === JobStatus.AgreementChanged) {
+      attempt += 1; // re-issued after the agreement was amended or resumed
+    } else if (n === current && (job.receiptNumber || job.status === JobStatus.PaymentScheduled)) {
+      return; // already scheduled or submitted
+    }
+
+    const paymentKey =
+      n === current && job.status === JobStatus.PaymentRequested
+        ? job.paymentKey
+        : this._idempotencyKey(id, n > 1 ? `payment-${n}` : "payment", attempt);
+    const deal = await this.escrow.getDeal(id);
+    const scheduled = this.store.updateDeal(id, {
+      status: JobStatus.PaymentScheduled,
+      correlationId: (await this._revealed(id, job, deal, correlationIdRaw)).value,
+      agreementToken: (await this._revealed(id, job, deal, agreementToken)).value,
+      currency: ethers.toUtf8String(deal.currency),
+      instalment: n,
+      amountCents: amountCents.toString(),
+      dueTimestamp: Number(dueTimestamp),
+      paymentKey,
+      paymentAttempt: attempt,
+      receiptNumber: null,
+      reason: null,
+    });
+    await this._submitPaymentIfDue(id, scheduled);
+  }
+
+  // Later instalments are collected once they fall due by chain time, not when they are requested
+  async _submitPaymentIfDue(id, job) {
+    if (this._paused) return; // collected after Unpaused, when it can be confirmed
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (job.dueTimestamp > timestamp) return;
+    // Refunded, disputed or suspended since it was requested: the event that says so closes or holds the job
+    const deal = await this.escrow.getDeal(id);
+    if (deal.state !== DealState.AgreementConfirmed || deal.suspendedAt !== 0n) return;
+
+    this.store.updateDeal(id, { status: JobStatus.PaymentRequested });
+    const txn = await this.quickstream.createTransaction(
+      {
+        agreementToken: job.agreementToken,
+        correlationId: job.correlationId,
+        amountCents: BigInt(job.amountCents),
+        currency: job.currency,
+      },
+      { idempotencyKey: job.paymentKey }
+    );
+    this.store.updateDeal(id, { status: JobStatus.PaymentSubmitted, receiptNumber: txn.receiptNumber });
+    this.logger.info(`deal ${id}: PayTo payment ${txn.receiptNumber} submitted for instalment ${job.instalment} (${txn.status})`);
+  }
+
+  _onDisputeRaised({ id, raisedBy }) {
+    const job = this.store.deal(id);
+    if (job?.outcome !== undefined || job?.status === JobStatus.Disputed) return; // re-scanned
+    this.store.updateDeal(id, { status: JobStatus.Disputed, disputedBy: raisedBy, disputedFrom: job?.status ?? null });
+    this.logger.warn(`deal ${id}: dispute raised by ${raisedBy}, PayTo collection paused`);
+  }
+
+  // A payment submitted before the dispute is followed again: once it settles it is recorded as
+  // paid, or as a refund due if the arbiter returned the NFT to the seller
+  _onDisputeResolved({ id, outcome }) {
+    const job = this.store.deal(id);
+    const from = job?.disputedFrom === JobStatus.Suspended ? job.suspendedFrom : job?.disputedFrom;
+    const following = from === JobStatus.PaymentSubmitted || from === JobStatus.AwaitingQuorum;
+    this.store.updateDeal(id, { status: following ? from : JobStatus.Resolved, outcome: Number(outcome) });
+    const payment = following ? `, following payment ${job.receiptNumber}` : "";
+    this.logger.info(`deal ${id}: dispute resolved (outcome ${outcome})${payment}`);
+  }
+
+  _onEscrowExpired({ id, depositDeadline }) {
+    this.store.updateDeal(id, { status: JobStatus.Expired });
+    this.logger.info(`deal ${id}: offer expired at ${depositDeadline} before deposit, no PayTo agreement will be created`);
+  }
+
+  // The deal is unwound on-chain; an agreement the payer authorises afterwards is never confirmed
+  _onBuyerWithdrew({ id, buyer }, action) {
+    const agreementToken = this.store.deal(id)?.agreementToken;
+    this.store.updateDeal(id, { status: JobStatus.Withdrawn, reason: `buyer ${action}` });
+    const dropped = agreementToken ? `, PayTo agreement ${agreementToken} dropped` : "";
+    this.logger.info(`deal ${id}: buyer ${buyer} ${action}${dropped}`);
+  }
+
+  // The deal ended without a payment; a payment already submitted is still followed, as it may settle
+  _onDealClosed({ id }, status) {
+    const job = this.store.deal(id);
+    if (!job || SETTLED_STATUSES.has(job.status)) return;
+    const following = job.status === JobStatus.Suspended ? job.suspendedFrom : job.status;
+    if (following === JobStatus.PaymentSubmitted || following === JobStatus.AwaitingQuorum) {
+      this.store.updateDeal(id, { status: following });
+      this.logger.warn(`deal ${id}: ${status} on-chain, following payment ${job.receiptNumber}`);
+      return;
+    }
+    this.store.updateDeal(id, { status });
+    this.logger.info(`deal ${id}: ${status} on-chain, PayTo collection stopped`);
+  }
+
+  // An agreement already requested for the old price is replaced by the one PayToAgreementRequested asks for next
+  _onPriceAmended({ id, priceCents }) {
+    const job = this.store.deal(id);
+    if (!job?.agreementKey || job.agreementCents === priceCents.toString()) return;
+    const dropped = job.agreementToken ? `, PayTo agreement ${job.agreementToken} dropped` : "";
+    this.store.updateDeal(id, { status: JobStatus.PriceAmended });
+    this.logger.info(`deal ${id}: price amended to ${priceCents} cents${dropped}`);
+  }
+
+  _onPayoutInstruction({ id, seller, sellerCents, feeRecipient, feeCents, royaltyReceiver, royaltyCents }) {
+    const payout = {
+      seller: { account: seller, cents: sellerCents.toString() },
+      fee: { account: feeRecipient, cents: feeCents.toString() },
+      royalty: { account: royaltyReceiver, cents: royaltyCents.toString() },
+    };
+    this.store.updateDeal(id, { payout });
+    this.logger.info(`deal ${id}: payout ${sellerCents} to seller, ${feeCents} fee, ${royaltyCents} royalty`);
+  }
+
+  // A payment already submitted stays on the job: it may still settle while the agreement is suspended
+  async _onAgreementSuspended({ id }) {
+    const job = this.store.deal(id);
+    if (!job || job.status === JobStatus.Suspended) return;
+    if ((await this.escrow.getDeal(id)).suspendedAt === 0n) return; // re-scanned after it was resumed
+    this.store.updateDeal(id, { status: JobStatus.Suspended, suspendedFrom: job.status });
+    this.logger.warn(`deal ${id}: PayTo agreement suspended, collection paused`);
+  }
+
+  // Only the latest change still in force re-issues the payment; re-scanned events are skipped
+  async _onAgreementChanged({ id, agreementToken }, action) {
+    const job = this.store.deal(id);
+    const deal = await this.escrow.getDeal(id);
+    if (!job || deal.state !== DealState.AgreementConfirmed || deal.suspendedAt !== 0n) return;
+    const current = job.agreementToken && this._onChain(job, job.agreementToken);
+    if (action === "resumed" ? job.status !== JobStatus.Suspended : current === agreementToken) return;
+    if (agreementToken && deal.agreementTokenHash !== ethers.id(agreementToken)) return;
+    const outstanding = await this._outstandingPayment(job);
+    if (outstanding) {
+      // The re-issued PayToPaymentRequested is skipped: the payment is collected once, under its receipt
+      this.store.updateDeal(id, { status: outstanding });
+      this.logger.info(`deal ${id}: PayTo agreement ${action}, following payment ${job.receiptNumber}`);
+      return;
+    }
+    this.store.updateDeal(id, { status: JobStatus.AgreementChanged });
+    this.logger.info(`deal ${id}: PayTo agreement ${action}`);
+  }
+
+  // Status to go back to for a submitted payment that has not failed, or null to request the payment again
+  async _outstandingPayment(job) {
+    const status = job.status === JobStatus.Suspended ? job.suspendedFrom : job.status;
+    if (status === JobStatus.AwaitingQuorum) return status; // approved, and this operator has voted
+    if (status !== JobStatus.PaymentSubmitted) return null;
+    const txn = await this.quickstream.getTransaction(job.receiptNumber);
+    return txn.status === TransactionStatus.Approved || txn.status === TransactionStatus.Pending ? status : null;
+  }
+
+  _onConfirmationConflict({ id, operator, expectedDigest, digest }) {
+    this.logger.warn(`deal ${id}: operator ${operator} confirmed payment ${digest}, others confirmed ${expectedDigest}`);
+  }
+
+  _onPaused({ account, pausedFlags }) {
+    this.logger.warn(`escrow paused by ${account} (flags ${pausedFlags})`);
+  }
+
+  _onUnpaused({ account, pausedFlags }) {
+    this.logger.info(`escrow unpaused by ${account} (flags ${pausedFlags})`);
+  }
+
+  async _checkPendingAgreements() {
+    await this._forEachJob(JobStatus.AwaitingAuthorisation, (id, job) => this._checkAgreement(id, job));
+  }
+
+  async _checkAgreement(id, job) {
+    const agreement = await this.quickstream.getPayToAgreement(job.agreementToken);
+    if (agreement.status === AgreementStatus.Active) {
+      // Skip the transaction if it already landed before a restart
+      if ((await this.escrow.getDeal(id)).state === DealState.NftDeposited) {
+        const tx = await sendConfirmAgreement(
+          this.escrow,
+          this.submitter,
+          id,
+          this._onChain(job, job.correlationId),
+          this._onChain(job, job.agreementToken)
+        );
+        await tx.wait();
+        this.logger.info(`deal ${id}: agreement confirmed on-chain`);
+      }
+      this.store.updateDeal(id, { status: JobStatus.AgreementConfirmed });
+    } else if (agreement.status !== AgreementStatus.Created) {
+      this.logger.warn(`deal ${id}: agreement ${job.agreementToken} is ${agreement.status}`);
+      if ((await this.escrow.getDeal(id)).state === DealState.NftDeposited) {
+        await (await this.escrow.reportAgreementRejected(id, ethers.encodeBytes32String(agreement.status))).wait();
+      }
+      this.store.updateDeal(id, { status: JobStatus.Failed, reason: agreement.status });
+    }
+  }
+
+  // Also resubmits, under the recorded idempotency key, a payment whose POST was interrupted
+  async _checkScheduledPayments() {
+    for (const status of [JobStatus.PaymentScheduled, JobStatus.PaymentRequested]) {
+      await this._forEachJob(status, (id, job) => this._submitPaymentIfDue(id, job));
+    }
+  }
+
+  async _checkPendingPayments() {
+    await this._forEachJob(JobStatus.AwaitingQuorum, async (id, job) => {
+      const status = await paymentJobStatus(this.escrow, id, job.instalment);
+      if (status !== JobStatus.AwaitingQuorum) this._recordPaymentStatus(id, status, job.receiptNumber);
+    });
+    await this._forEachJob(JobStatus.ReleasePending, (id, job) => this._checkSettlement(id, job));
+    if (this.paymentsViaWebhook) return;
+    await this._forEachJob(JobStatus.PaymentSubmitted, async (id, job) => {
+      const txn = await this.quickstream.getTransaction(job.receiptNumber);
+      if (txn.status === TransactionStatus.Approved) {
+        await this._confirmPayment(id, txn);
+      } else if (txn.status !== TransactionStatus.Pending) {
+        this.logger.warn(`deal ${id}: payment ${job.receiptNumber} is ${txn.status}`);
+        await this._reportPaymentFailed(id, txn.status);
+      }
+    });
+  }
+
+  // A payment recalled within the settlement window is reversed on-chain; after the window the NFT is released
+  async _checkSettlement(id, job) {
+    const deal = await this.escrow.getDeal(id);
+    if (deal.state !== DealState.PaidPendingRelease) {
+      // Finalised or reversed by another account
+      this.store.updateDeal(id, { status: deal.state === DealState.Paid ? JobStatus.Paid : JobStatus.Reversed });
+      return;
+    }
+    const txn = await this.quickstream.getTransaction(job.receiptNumber);
+    const { timestamp } = await this.provider.getBlock("latest");
+    const windowOpen = BigInt(timestamp) < deal.releaseTimestamp;
+    if (txn.status !== TransactionStatus.Approved) {
+      this.logger.warn(`deal ${id}: payment ${job.receiptNumber} is ${txn.status} after confirmation`);
+      if (windowOpen) {
+        await (await this.escrow.reportPaymentReversed(id, ethers.encodeBytes32String(txn.status))).wait();
+        this.store.updateDeal(id, { status: JobStatus.Reversed, reason: txn.status });
+      } else {
+        this.store.updateDeal(id, { status: JobStatus.Failed, reason: `${txn.status} after the settlement window` });
+      }
+    } else if (!windowOpen) {
+      await (await this.escrow.finalizeRelease(id)).wait();
+      this.store.updateDeal(id, { status: JobStatus.Paid });
+      this.logger.info(`deal ${id}: NFT released after the settlement window`);
+    }
+  }
+
+  // True while the given instalment has not been confirmed on-chain yet
+  async _awaitingPayment(id, instalment) {
+    if ((await this.escrow.getDeal(id)).state !== DealState.AgreementConfirmed) return false;
+    const plan = await this.escrow.getInstalmentPlan(id);
+    return plan.count === 0n || plan.paid < BigInt(instalment);
+  }
+
+  // Report what QuickStream actually settled; a mismatched amount or currency fails the deal instead of releasing it
+  async _confirmPayment(id, txn) {
+    const job = this.store.deal(id);
+    const { instalment = 1, currency } = job;
+    if (txn.currency !== currency) {
+      this.logger.warn(`deal ${id}: payment ${txn.receiptNumber} settled in ${txn.currency}, expected ${currency}`);
+      return this._reportPaymentFailed(id, CURRENCY_MISMATCH);
+    }
+    const awaiting = await this._awaitingPayment(id, instalment);
+    const amountCents = amountToCents(txn.principalAmount);
+    const due = awaiting ? await this.escrow.amountDue(id) : amountCents;
+    if (amountCents !== due) {
+      this.logger.warn(`deal ${id}: payment ${txn.receiptNumber} settled ${amountCents} cents, expected ${due}`);
+      return this._reportPaymentFailed(id, AMOUNT_MISMATCH);
+    }
+    try {
+      // Under a quorum, a vote cast before a restart must not be sent again
+      if (awaiting && !(await this.escrow.hasConfirmedPayment(id, await this.escrow.runner.getAddress()))) {
+        const receiptReference = this._onChain(job, txn.receiptNumber);
+        const tx = await sendConfirmPayment(this.escrow, this.submitter, id, receiptReference, amountCents, txn.currency);
+        await tx.wait();
+        this.logger.info(`deal ${id}: payment for instalment ${instalment} confirmed on-chain`);
+      }
+      this.store.addReceipt(txn.receiptNumber, id);
+      this._recordPaymentStatus(id, await paymentJobStatus(this.escrow, id, instalment), txn.receiptNumber);
+    } catch (err) {
+      if (!isRevert(err)) throw err;
+      this.logger.error(`deal ${id}: confirmPayment for ${txn.receiptNumber} reverted:`, err.shortMessage || err);
+      this.store.updateDeal(id, { status: JobStatus.Failed, reason: "confirmPayment reverted" });
+    }
+  }
+
+  _recordPaymentStatus(id, status, receiptNumber) {
+    this.store.updateDeal(id, { status });
+    if (status === JobStatus.RefundDue) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} settled after the deal was closed, refund owed to the buyer`);
+    }
+  }
+
+  async _reportPaymentFailed(id, reason) {
+    if ((await this.escrow.getDeal(id)).state === DealState.AgreementConfirmed) {
+      await (await this.escrow.reportPaymentFailed(id, ethers.encodeBytes32String(reason))).wait();
+    }
+    this.store.updateDeal(id, { status: JobStatus.Failed, reason });
+  }
+}
+
+module.exports = {
+  Relayer,
+  DealState,
+  blockRanges,
+  isRevert,
+  confirmationsPaused,
+  paymentJobStatus,
+  AMOUNT_MISMATCH,
+  CURRENCY_MISMATCH,
+};
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per-deal relayer job statuses, in the order a deal normally moves through them
+const JobStatus = {
+  AwaitingReveal: "awaiting_reveal", // hash-only deal whose raw correlation id or agreement token is not disclosed yet
+  AgreementRequested: "agreement_requested", // agreement POST issued (idempotency key recorded)
+  PriceAmended: "price_amended", // price amended before the agreement was confirmed; a new agreement follows
+  AwaitingAuthorisation: "awaiting_authorisation", // agreement token known, payer has not authorised yet
+  AgreementConfirmed: "agreement_confirmed", // confirmAgreement mined
+  PaymentScheduled: "payment_scheduled", // payment (or instalment) requested on-chain, not yet due
+  PaymentRequested: "payment_requested", // transaction POST issued (idempotency key recorded)
+  PaymentSubmitted: "payment_submitted", // receipt number known, awaiting settlement
+  Suspended: "suspended", // PayTo agreement suspended by the payer; nothing is collected until it resumes
+  AgreementChanged: "agreement_changed", // agreement amended or resumed; the payment is about to be re-requested
+  AwaitingQuorum: "awaiting_quorum", // our confirmPayment vote mined, other operators still to confirm
+  InstalmentPaid: "instalment_paid", // confirmPayment mined, further instalments outstanding
+  ReleasePending: "release_pending", // full price confirmed, NFT held for the settlement window
+  Paid: "paid", // confirmPayment mined for the full price, NFT released
+  Reversed: "reversed", // payment recalled within the settlement window; NFT returned to the seller
+  Failed: "failed", // QuickStream declined the agreement or payment
+  Disputed: "disputed", // buyer or seller raised a dispute; PayTo collection is paused
+  Resolved: "resolved", // arbiter released or returned the NFT
+  Expired: "expired", // offer expired before the NFT was deposited; no PayTo setup
+  Withdrawn: "withdrawn", // buyer declined or cancelled before the agreement was confirmed
+  Refunded: "refunded", // NFT returned to the seller (refund, emergency refund); nothing more is collected
+  Cancelled: "cancelled", // deal cancelled on-chain; nothing more is collected
+  RefundDue: "refund_due", // a payment settled after the deal was refunded or cancelled; owed back to the buyer off-chain
+};
+
+// Number of processed-range checkpoints kept for reorg detection
+const CHECKPOINT_HISTORY = 64;
+
+/**
+ * Durable relayer state: the block cursor, recent block hashes for reorg detection,
+ * per-deal job status with the QuickStream idempotency keys already issued, the payment
+ * receipts already confirmed on-chain, and the failed receipts already reported.
+ *
+ * Backed by a JSON file that is rewritten atomically on every change; with no file it
+ * is kept in memory only.
+ */
+class RelayerStore {
+  constructor(file = null) {
+    this.file = file;
+    this._state = { nextBlock: null, checkpoints: [], deals: {}, receipts: {}, failedReceipts: {} };
+    if (file && fs.existsSync(file)) {
+      this._state = { ...this._state, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+    }
+  }
+
+  /** Next block to scan, or null if nothing has been processed yet. */
+  get nextBlock() {
+    return this._state.nextBlock;
+  }
+
+  /** Processed-range checkpoints ({ number, hash }), oldest first. */
+  get checkpoints() {
+    return this._state.checkpoints;
+  }
+
+  /** Record that every block up to and including `checkpoint.number` has been processed. */
+  advance(checkpoint) {
+    this._state.nextBlock = checkpoint.number + 1;
+    this._state.checkpoints = [...this._state.checkpoints, checkpoint].slice(-CHECKPOINT_HISTORY);
+    this.save();
+  }
+
+  /** Move the cursor back to `nextBlock`, forgetting checkpoints at or after it. */
+  rewind(nextBlock) {
+    this._state.nextBlock = nextBlock;
+    this._state.checkpoints = this._state.checkpoints.filter((c) => c.number < nextBlock);
+    this.save();
+  }
+
+  deal(id) {
+    return this._state.deals[String(id)];
+  }
+
+  updateDeal(id, patch) {
+    const key = String(id);
+    this._state.deals[key] = { ...this._state.deals[key], ...patch, updatedAt: new Date().toISOString() };
+    this.save();
+    return this._state.deals[key];
+  }
+
+  /** [id, job] pairs for deals whose job is in `status`. */
+  dealsWithStatus(status) {
+    return Object.entries(this._state.deals)
+      .filter(([, job]) => job.status === status)
+      .map(([id, job]) => [BigInt(id), job]);
+  }
+
+  /** [id, job] pairs for deals with events queued to be handled again (see Relayer.poll). */
+  dealsWithRetries() {
+    return Object.entries(this._state.deals)
+      .filter(([, job]) => job.retryEvents?.length > 0)
+      .map(([id, job]) => [BigInt(id), job]);
+  }
+
+  /** Id of the latest deal whose job matches `predicate`, if any. */
+  findDeal(predicate) {
+    const found = Object.entries(this._state.deals).filter(([, job]) => predicate(job)).pop();
+    return found && BigInt(found[0]);
+  }
+
+  hasReceipt(receiptNumber) {
+    return receiptNumber in this._state.receipts;
+  }
+
+  addReceipt(receiptNumber, id) {
+    this._state.receipts[receiptNumber] = String(id);
+    this.save();
+  }
+
+  /** True once a failure notification for `receiptNumber` has been handled. */
+  hasFailedReceipt(receiptNumber) {
+    return receiptNumber in this._state.failedReceipts;
+  }
+
+  addFailedReceipt(receiptNumber, id) {
+    this._state.failedReceipts[receiptNumber] = String(id);
+    this.save();
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this._state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { RelayerStore, JobStatus };
@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const http = require("http");
+const { ethers } = require("ethers");
+const { amountToCents } = require("./quickstream");
+const { sendConfirmPayment } = require("./attestations");
+const { commit } = require("./commitments");
+const {
+  DealState,
+  blockRanges,
+  isRevert,
+  confirmationsPaused,
+  paymentJobStatus,
+  AMOUNT_MISMATCH,
+  CURRENCY_MISMATCH,
+} = require("./relayer");
+const { RelayerStore, JobStatus } = require("./store");
+
+const SIGNATURE_HEADER = "x-quickstream-signature";
+const TIMESTAMP_HEADER = "x-quickstream-timestamp";
+
+// Escrow.State.AgreementConfirmed
+const AWAITING_PAYMENT = 3n;
+
+// Largest notification body read; a bigger one is refused with 413 before its signature is checked
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Reported on-chain for a PAYMENT_FAILED notification that carries no status
+const DEFAULT_FAILURE_REASON = "FAILED";
+
+// Non-200 answers; a 503 while the escrow is paused, or the deal suspended or disputed, makes QuickStream redeliver later
+const HTTP_STATUS = { "unknown deal": 422, paused: 503, suspended: 503, disputed: 503 };
+
+/**
+ * bytes32 reason code for a QuickStream status, cut to 31 bytes: encodeBytes32String throws on a longer
+ * one and QuickStream would then redeliver the notification forever.
+ */
+function reasonCode(status) {
+  return ethers.zeroPadBytes(ethers.toUtf8Bytes(status).slice(0, 31), 32);
+}
+
+/** Hex HMAC-SHA256 of `${timestamp}.${rawBody}` under the shared webhook secret. */
+function signWebhook(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+/**
+ * Check a webhook's signature and that its timestamp is within `toleranceSec` of `nowSec`.
+ * Returns null when valid, otherwise the reason it was rejected.
+ */
+function verifyWebhook(secret, headers, rawBody, { toleranceSec = 300, nowSec = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  if (!signature || !Number.isInteger(timestamp)) return "missing signature";
+  if (Math.abs(nowSec - timestamp) > toleranceSec) return "stale timestamp";
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, rawBody), "hex");
+  const received = Buffer.from(String(signature), "hex");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return "invalid signature";
+  }
+  return null;
+}
+
+/**
+ * HTTP endpoint for QuickStream payment notifications.
+ *
+ * Verifies the HMAC signature and timestamp, resolves the deal from the endToEndId
+ * (the deal's correlation id) and calls Escrow.confirmPayment at most once per receipt;
+ * confirmed receipts are recorded in the same RelayerStore the relayer uses. Failed
+ * payments, and payments settled for the wrong amount, are reported with reportPaymentFailed.
+ * `escrow` must be an ethers Contract connected to a signer holding OPERATOR_ROLE; with a
+ * `submitter`, confirmations are signed by the operator and sent by the submitter.
+ */
+class WebhookReceiver {
+  constructor({
+    escrow,
+    secret,
+    store = new RelayerStore(),
+    port = 0,
+    path = "/webhooks/quickstream",
+    toleranceSec = 300,
+    fromBlock = 0,
+    blockRange = 1_000,
+    submitter = null,
+    logger = console,
+  }) {
+    if (!secret) throw new Error("A webhook secret is required");
+    this.escrow = escrow;
+    this.submitter = submitter;
+    this.secret = secret;
+    this.store = store;
+    this.port = port;
+    this.path = path;
+    this.toleranceSec = toleranceSec;
+    this.blockRange = blockRange;
+    this.logger = logger;
+
+    this._inFlight = new Map(); // receiptNumber -> Promise
+    this._dealByCorrelation = new Map(); // correlationIdHash -> deal id
+    this._scannedBlock = fromBlock - 1;
+    this._server = null;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this._server.address().port}${this.path}`;
+  }
+
+  async start() {
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => {
+        this.logger.error("webhook handling failed:", err);
+        send(res, 500, { error: "Internal error" });
+      });
+    });
+    await new Promise((resolve) => this._server.listen(this.port, resolve));
+    return this.url;
+  }
+
+  async stop() {
+    if (this._server) await new Promise((resolve) => this._server.close(resolve));
+    this._server = null;
+  }
+
+  /**
+   * Deal id for a correlation id: the active deal registered on-chain, or else the latest
+   * EscrowOpened seen for it, so late notifications for a finished deal are still matched.
+   * A hash-only deal only has a commitment on-chain and is found through the relayer's job.
+   */
+  async dealIdForCorrelation(correlationId) {
+    const hash = ethers.id(correlationId);
+    const active = await this.escrow.dealIdByCorrelation(hash);
+    if (active !== 0n) return active;
+    if (!this._dealByCorrelation.has(hash)) {
+      const latest = await this.escrow.runner.provider.getBlockNumber();
+      for (const [from, to] of blockRanges(this._scannedBlock + 1, latest, this.blockRange)) {
+        const logs = await this.escrow.queryFilter(this.escrow.filters.EscrowOpened(), from, to);
+        for (const log of logs) this._dealByCorrelation.set(log.args.correlationIdHash, log.args.id);
+        this._scannedBlock = to;
+      }
+    }
+    return (
+      this._dealByCorrelation.get(hash) ?? this.store.findDeal((job) => job.salt && job.correlationId === correlationId)
+    );
+  }
+
+  async _handle(req, res) {
+    if (req.method !== "POST" || new URL(req.url, "http://localhost").pathname !== this.path) {
+      return send(res, 404, { error: "Not found" });
+    }
+    const rawBody = await readBody(req, MAX_BODY_BYTES);
+    if (rawBody === null) return send(res, 413, { error: "Payload too large" }, { Connection: "close" });
+    const rejection = verifyWebhook(this.secret, req.headers, rawBody, { toleranceSec: this.toleranceSec });
+    if (rejection) {
+      this.logger.warn(`webhook rejected: ${rejection}`);
+      return send(res, 401, { error: rejection });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return send(res, 400, { error: "Malformed JSON" });
+    }
+    const data = payload.data || {};
+    if (!data.receiptNumber || !data.endToEndId) return send(res, 400, { error: "Missing receipt or endToEndId" });
+
+    if (payload.eventType !== "PAYMENT_SUCCEEDED" && payload.eventType !== "PAYMENT_FAILED") {
+      return send(res, 200, { status: "ignored" });
+    }
+
+    const status = await this._confirmOnce(data, payload.eventType === "PAYMENT_SUCCEEDED");
+    return send(res, HTTP_STATUS[status] ?? 200, { status });
+  }
+
+  // Serialises notifications per receipt so retried or duplicated webhooks confirm only once
+  async _confirmOnce(data, succeeded) {
+    const { receiptNumber } = data;
+    if (this.store.hasReceipt(receiptNumber) || this.store.hasFailedReceipt(receiptNumber)) return "duplicate";
+    if (this._inFlight.has(receiptNumber)) {
+      await this._inFlight.get(receiptNumber);
+      return "duplicate";
+    }
+
+    const reason = typeof data.status === "string" && data.status !== "" ? data.status : DEFAULT_FAILURE_REASON;
+    const work = succeeded ? this._confirm(data) : this._fail(data, reason);
+    this._inFlight.set(receiptNumber, work);
+    try {
+      return await work;
+    } finally {
+      this._inFlight.delete(receiptNumber);
+    }
+  }
+
+  async _confirm({ receiptNumber, endToEndId, principalAmount, currency }) {
+    const id = await this.dealIdForCorrelation(endToEndId);
+    if (id === undefined) return "unknown deal";
+
+    const deal = await this.escrow.getDeal(id);
+    if (deal.state === DealState.Refunded || deal.state === DealState.Cancelled) {
+      // Collected after the deal was closed: recorded so a redelivery is a duplicate
+      this.store.addReceipt(receiptNumber, id);
+      this.store.updateDeal(id, { status: JobStatus.RefundDue });
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} settled after the deal was closed, refund owed to the buyer`);
+      return "refund due";
+    }
+    if (deal.state === DealState.Disputed) {
+      // Redelivered until the arbiter decides: then recorded as a refund due, or ignored on a release
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} held, the deal is disputed`);
+      return "disputed";
+    }
+    if (deal.state !== AWAITING_PAYMENT) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} received in state ${deal.state}`);
+      return "ignored";
+    }
+
+    const expectedCurrency = ethers.toUtf8String(deal.currency);
+    if (currency !== expectedCurrency) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} settled in ${currency}, expected ${expectedCurrency}`);
+      return this._fail({ receiptNumber, endToEndId }, CURRENCY_MISMATCH);
+    }
+    const amountCents = amountToCents(principalAmount);
+    const due = await this.escrow.amountDue(id);
+    if (amountCents !== due) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} settled ${amountCents} cents, expected ${due}`);
+      return this._fail({ receiptNumber, endToEndId }, AMOUNT_MISMATCH);
+    }
+    if (await this.escrow.hasConfirmedPayment(id, await this.escrow.runner.getAddress())) return "duplicate";
+    if (await confirmationsPaused(this.escrow)) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} held, confirmations are paused`);
+      return "paused";
+    }
+    if (deal.suspendedAt !== 0n) {
+      this.logger.warn(`deal ${id}: payment ${receiptNumber} held, the PayTo agreement is suspended`);
+      return "suspended";
+    }
+
+    const job = this.store.deal(id);
+    const receiptReference = job?.salt ? commit(receiptNumber, job.salt) : receiptNumber;
+    try {
+      await (await sendConfirmPayment(this.escrow, this.submitter, id, receiptReference, amountCents, currency)).wait();
+    } catch (err) {
+      // A revert (e.g. PaymentAmountMismatch) will not succeed on redelivery; anything else should be retried
+      if (!isRevert(err)) throw err;
+      this.logger.error(`deal ${id}: confirmPayment for ${receiptNumber} reverted:`, err.shortMessage || err);
+      return "rejected";
+    }
+    this.store.addReceipt(receiptNumber, id);
+    this.store.updateDeal(id, { status: await paymentJobStatus(this.escrow, id, job && job.instalment) });
+    this.logger.info(`deal ${id}: payment ${receiptNumber} confirmed on-chain`);
+    return "confirmed";
+  }
+
+  async _fail({ receiptNumber, endToEndId }, reason) {
+    const id = await this.dealIdForCorrelation(endToEndId);
+    if (id === undefined) return "unknown deal";
+
+    const deal = await this.escrow.getDeal(id);
+    if (deal.state !== AWAITING_PAYMENT) return "ignored";
+    // Only the payment outstanding can fail the deal, not an earlier attempt a retry replaced
+    if (this.store.deal(id)?.receiptNumber !== receiptNumber) {
+      this.logger.warn(`deal ${id}: failure of payment ${receiptNumber} ignored, it is not the one outstanding`);
+      this.store.addFailedReceipt(receiptNumber, id);
+      return "ignored";
+    }
+
+    this.logger.warn(`deal ${id}: payment ${receiptNumber} failed (${reason})`);
+    await (await this.escrow.reportPaymentFailed(id, reasonCode(reason))).wait();
+    this.store.addFailedReceipt(receiptNumber, id);
+    this.store.updateDeal(id, { status: JobStatus.Failed, reason });
+    return "failed";
+  }
+}
+
+// The body as text, or null as soon as it grows past `limit` bytes
+async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = {
+  WebhookReceiver,
+  signWebhook,
+  verifyWebhook,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
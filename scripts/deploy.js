@@ -1,12 +1,36 @@
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { deployEscrow, upgradeEscrow } = require("./escrow");
 
+/**
+ * Deploys Escrow behind a UUPS proxy, or, with ESCROW_ADDRESS set to an existing proxy,
+ * upgrades it in place (the deployer must hold DEFAULT_ADMIN_ROLE). Both modes deploy a new
+ * EscrowExtension and EscrowViews and validate the implementation, and an upgrade is refused if its storage
+ * layout is incompatible.
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *   ESCROW_ADDRESS=0x... npx hardhat run scripts/deploy.js --network localhost
+ */
 async function main() {
-  const [deployer, operator] = await ethers.getSigners();
-  const Escrow = await ethers.getContractFactory("Escrow");
-  const escrow = await Escrow.deploy(operator.address);
-  await escrow.waitForDeployment();
-  console.log("Escrow deployed at:", await escrow.getAddress());
+  const [deployer, operator, arbiter] = await ethers.getSigners();
+  const proxy = process.env.ESCROW_ADDRESS;
+
+  if (proxy) {
+    const escrow = await upgradeEscrow(proxy, deployer);
+    console.log("Escrow upgraded at:", proxy);
+    console.log("Implementation:", await upgrades.erc1967.getImplementationAddress(proxy));
+    console.log("Extension:", await escrow.extension());
+    return;
+  }
+
+  const escrow = await deployEscrow(deployer, operator.address);
+  const address = await escrow.getAddress();
+  console.log("Escrow deployed at:", address);
+  console.log("Implementation:", await upgrades.erc1967.getImplementationAddress(address));
+  console.log("Extension:", await escrow.extension());
   console.log("Operator:", operator.address);
+  if (arbiter) {
+    await (await escrow.grantRole(await escrow.ARBITER_ROLE(), arbiter.address)).wait();
+    console.log("Arbiter:", arbiter.address);
+  }
 }
 
 main().catch((e) => {
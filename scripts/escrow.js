@@ -0,0 +1,54 @@
+const { artifacts, ethers, upgrades } = require("hardhat");
+
+/**
+ * Escrow forwards the functions it does not define to EscrowExtension, and the extension its
+ * views to EscrowViews, so the proxy is used through all three ABIs. `name` selects the Escrow
+ * implementation, e.g. an upgrade target.
+ */
+async function escrowAt(address, runner, name = "Escrow") {
+  const core = await artifacts.readArtifact(name);
+  const extension = await artifacts.readArtifact("EscrowExtension");
+  const views = await artifacts.readArtifact("EscrowViews");
+  const forwarded = [...extension.abi, ...views.abi].filter((f) => f.type !== "constructor" && f.type !== "fallback");
+  return new ethers.Contract(address, [...core.abi, ...forwarded], runner);
+}
+
+/** Deploys an EscrowViews and an EscrowExtension serving it; returns the extension's address. */
+async function deployExtension(signer) {
+  const Views = await ethers.getContractFactory("EscrowViews", signer);
+  const views = await Views.deploy();
+  await views.waitForDeployment();
+  const Extension = await ethers.getContractFactory("EscrowExtension", signer);
+  const extension = await Extension.deploy(await views.getAddress());
+  await extension.waitForDeployment();
+  return extension.getAddress();
+}
+
+/**
+ * Deploys an EscrowExtension and an Escrow UUPS proxy using it. `admin` gets
+ * DEFAULT_ADMIN_ROLE and `operator` (an address) OPERATOR_ROLE.
+ */
+async function deployEscrow(admin, operator) {
+  const extension = await deployExtension(admin);
+  const Escrow = await ethers.getContractFactory("Escrow", admin);
+  const proxy = await upgrades.deployProxy(Escrow, [operator, extension], { kind: "uups" });
+  await proxy.waitForDeployment();
+  return escrowAt(await proxy.getAddress(), admin);
+}
+
+/**
+ * Upgrades the proxy at `address` to the current Escrow and points it at a freshly deployed
+ * EscrowExtension in the same transaction. `admin` must hold DEFAULT_ADMIN_ROLE.
+ */
+async function upgradeEscrow(address, admin) {
+  const extension = await deployExtension(admin);
+  const Escrow = await ethers.getContractFactory("Escrow", admin);
+  const proxy = await upgrades.upgradeProxy(address, Escrow, {
+    kind: "uups",
+    call: { fn: "setExtension", args: [extension] },
+  });
+  await proxy.waitForDeployment();
+  return escrowAt(address, admin);
+}
+
+module.exports = { escrowAt, deployExtension, deployEscrow, upgradeEscrow };
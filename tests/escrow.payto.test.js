@@ -1,6 +1,9 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { signAgreementAttestation, signPaymentAttestation, signPriceAmendment } = require("../relayer/attestations");
+const { deployEscrow, deployExtension, escrowAt } = require("../scripts/escrow");
 
 // Define State constants for readability in new test cases
 const State = {
@@ -11,8 +14,38 @@ const State = {
     Paid: 4,
     Cancelled: 5,
     Refunded: 6,
+    Failed: 7,
+    Disputed: 8,
+    Expired: 9,
+    PaidPendingRelease: 10,
 };
 
+const DisputeOutcome = {
+    ReleaseToBuyer: 0,
+    ReturnToSeller: 1,
+};
+
+// bytes3 ISO-4217 code as stored in Deal.currency
+function currencyCode(code) {
+    return ethers.hexlify(ethers.toUtf8Bytes(code));
+}
+
+// DealOptions for the openEscrow overload; fields left out keep the contract defaults
+function dealOptions(overrides = {}) {
+    return {
+        agreementTimeout: 0,
+        paymentTimeout: 0,
+        instalments: 0,
+        instalmentInterval: 0,
+        currency: "0x000000",
+        depositDeadline: 0,
+        requireBuyerAcceptance: false,
+        claimRelease: false,
+        hashOnly: false,
+        ...overrides,
+    };
+}
+
 describe("Escrow x PayTo", function () {
   let seller, buyer, operator, admin, other;
   let nft, escrow;
@@ -33,11 +66,17 @@ describe("Escrow x PayTo", function () {
     await nft.connect(seller).mint(seller.address);
 
     // Deploy Escrow
-    const Escrow = await ethers.getContractFactory("Escrow");
-    escrow = await Escrow.connect(admin).deploy(operator.address);
+    escrow = await deployEscrow(admin, operator.address);
     await escrow.waitForDeployment();
   });
 
+  // Seller opens deal 1 through the openEscrow overload that takes DealOptions
+  async function openWithOptions(options, correlationId = correlation) {
+    const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+    const open = escrow.connect(seller).getFunction(overload.format());
+    return open(buyer.address, await nft.getAddress(), tokenId, priceCents, correlationId, dealOptions(options));
+  }
+
   describe("Happy Path", function () {
     it("should complete full escrow flow", async function () {
       // Open escrow
@@ -392,195 +431,1851 @@ describe("Escrow x PayTo", function () {
     });
   });
 
-  describe("Emergency Refund", function () {
-    it("should allow admin emergency refund with NFT", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+  describe("Per-deal Timeouts", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("should store and emit per-deal timeouts", async function () {
+      await expect(openWithOptions({ agreementTimeout: DAY, paymentTimeout: 60 * DAY }))
+        .to.emit(escrow, "EscrowOpened")
+        .withArgs(
+          1,
+          seller.address,
+          buyer.address,
+          await nft.getAddress(),
+          tokenId,
+          priceCents,
+          correlation,
+          ethers.id(correlation),
+          DAY,
+          60 * DAY,
+          currencyCode("AUD")
+        );
+
+      const deal = await escrow.getDeal(1);
+      expect(deal.agreementTimeout).to.equal(DAY);
+      expect(deal.paymentTimeout).to.equal(60 * DAY);
+    });
+
+    it("should fall back to the defaults for zero values", async function () {
+      await openWithOptions({ agreementTimeout: 0, paymentTimeout: 0 });
+
+      const deal = await escrow.getDeal(1);
+      expect(deal.agreementTimeout).to.equal(await escrow.DEFAULT_AGREEMENT_TIMEOUT());
+      expect(deal.paymentTimeout).to.equal(await escrow.DEFAULT_PAYMENT_TIMEOUT());
+    });
+
+    it("should refund on the deal's own agreement and payment timeouts", async function () {
+      await openWithOptions({ agreementTimeout: DAY, paymentTimeout: 2 * DAY });
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+
+      await time.increase(DAY);
+      expect(await escrow.canRefund(1)).to.be.true;
+
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await time.increase(DAY);
+      expect(await escrow.canRefund(1)).to.be.false;
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
+
+      await time.increase(DAY);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded");
+    });
+
+    it("should reject timeouts outside the admin limits", async function () {
+      await expect(openWithOptions({ agreementTimeout: 60, paymentTimeout: 0 }))
+        .to.be.revertedWithCustomError(escrow, "TimeoutOutOfRange")
+        .withArgs(60, 60 * 60, 180 * DAY);
 
+      await expect(escrow.connect(admin).setTimeoutLimits(60, 365 * DAY))
+        .to.emit(escrow, "TimeoutLimitsUpdated")
+        .withArgs(60, 365 * DAY);
+      await openWithOptions({ agreementTimeout: 60, paymentTimeout: 365 * DAY });
+
+      await expect(openWithOptions({ agreementTimeout: 0, paymentTimeout: 365 * DAY + 1 }, "INV-2"))
+        .to.be.revertedWithCustomError(escrow, "TimeoutOutOfRange");
+    });
+
+    it("should only let the admin set valid timeout limits", async function () {
+      await expect(escrow.connect(other).setTimeoutLimits(60, 2 * DAY))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(admin).setTimeoutLimits(0, DAY))
+        .to.be.revertedWithCustomError(escrow, "InvalidTimeoutLimits");
+      await expect(escrow.connect(admin).setTimeoutLimits(2 * DAY, DAY))
+        .to.be.revertedWithCustomError(escrow, "InvalidTimeoutLimits");
+    });
+  });
+
+  describe("Deal Currency", function () {
+    async function depositAndConfirm() {
       await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
       await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+    }
+
+    it("should default to AUD and reject confirmations in another currency", async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      expect((await escrow.getDeal(1)).currency).to.equal(currencyCode("AUD"));
+      await depositAndConfirm();
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "USD"))
+        .to.be.revertedWithCustomError(escrow, "CurrencyMismatch")
+        .withArgs(currencyCode("AUD"), "USD");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "aud"))
+        .to.be.revertedWithCustomError(escrow, "CurrencyMismatch");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUDX"))
+        .to.be.revertedWithCustomError(escrow, "CurrencyMismatch");
+    });
+
+    it("should store and enforce the currency the seller chose", async function () {
+      await expect(openWithOptions({ currency: currencyCode("NZD") }))
+        .to.emit(escrow, "EscrowOpened")
+        .withArgs(1, seller.address, buyer.address, anyValue, tokenId, priceCents, correlation, anyValue, anyValue, anyValue, currencyCode("NZD"));
+      await depositAndConfirm();
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "CurrencyMismatch")
+        .withArgs(currencyCode("NZD"), "AUD");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "NZD"))
+        .to.emit(escrow, "PaymentConfirmed")
+        .withArgs(1, "RXN-1", priceCents, "NZD");
+    });
+
+    it("should reject a currency that is not an ISO-4217 code", async function () {
+      await expect(openWithOptions({ currency: currencyCode("nz$") }))
+        .to.be.revertedWithCustomError(escrow, "InvalidCurrency")
+        .withArgs(currencyCode("nz$"));
+    });
+  });
+
+  describe("Deposit Deadline", function () {
+    const HOUR = 60 * 60;
+
+    it("should accept a deposit before the deadline and reject it after", async function () {
+      const deadline = (await time.latest()) + HOUR;
+      await openWithOptions({ depositDeadline: deadline });
+      expect((await escrow.getDeal(1)).depositDeadline).to.equal(deadline);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(seller).depositNFT(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "DepositDeadlinePassed")
+        .withArgs(deadline);
+
+      await openWithOptions({ depositDeadline: deadline + 2 * HOUR }, "INV-2");
+      await expect(escrow.connect(seller).depositNFT(2, "INV-2"))
+        .to.emit(escrow, "NftDeposited");
+    });
+
+    it("should let anyone mark an offer expired once the deadline has passed", async function () {
+      const deadline = (await time.latest()) + HOUR;
+      await openWithOptions({ depositDeadline: deadline });
+      await expect(escrow.connect(other).markExpired(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
 
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(other).markExpired(1))
+        .to.emit(escrow, "EscrowExpired")
+        .withArgs(1, deadline);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Expired);
+      expect(await escrow.dealIdByCorrelation(ethers.id(correlation))).to.equal(0);
+      const [ids] = await escrow.dealsByState(State.Expired, 0, 10);
+      expect([...ids]).to.deep.equal([1n]);
+
+      await expect(escrow.connect(other).markExpired(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.Opened, State.Expired);
       await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
+    });
+
+    it("should never expire a deal opened without a deadline", async function () {
+      await openWithOptions({});
+      await time.increase(365 * 24 * HOUR);
+      await expect(escrow.connect(other).markExpired(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
+    });
+
+    it("should expire a lapsed offer when its correlation id is reused", async function () {
+      const deadline = (await time.latest()) + HOUR;
+      await openWithOptions({ depositDeadline: deadline });
+      await expect(openWithOptions({}))
+        .to.be.revertedWithCustomError(escrow, "CorrelationIdInUse")
+        .withArgs(1);
+
+      await time.increaseTo(deadline + 1);
+      await expect(openWithOptions({}))
+        .to.emit(escrow, "EscrowExpired")
+        .withArgs(1, deadline);
+      expect(await escrow.dealIdByCorrelation(ethers.id(correlation))).to.equal(2);
+    });
+
+    it("should reject a deadline that has already passed", async function () {
+      const now = await time.latest();
+      await expect(openWithOptions({ depositDeadline: now }))
+        .to.be.revertedWithCustomError(escrow, "InvalidDepositDeadline")
+        .withArgs(now);
+    });
+  });
+
+  describe("Buyer Participation", function () {
+    async function deposit() {
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      return escrow.connect(seller).depositNFT(1, correlation);
+    }
+
+    it("should hold the PayTo agreement request until the buyer accepts", async function () {
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await expect(deposit()).to.not.emit(escrow, "PayToAgreementRequested");
+      await expect(escrow.connect(operator).confirmAgreement(1, correlation, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "BuyerNotAccepted");
+
+      await expect(escrow.connect(other).acceptDeal(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "NotBuyer");
+      await expect(escrow.connect(buyer).acceptDeal(1, "INV-WRONG"))
+        .to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+      await expect(escrow.connect(buyer).acceptDeal(1, correlation))
+        .to.emit(escrow, "BuyerAccepted")
+        .withArgs(1, buyer.address)
+        .and.to.emit(escrow, "PayToAgreementRequested")
+        .withArgs(1, correlation, ethers.id(correlation));
+      await expect(escrow.connect(buyer).acceptDeal(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "AlreadyAccepted");
+
+      await expect(escrow.connect(operator).confirmAgreement(1, correlation, agreementToken))
+        .to.emit(escrow, "AgreementConfirmed");
+    });
+
+    it("should request the agreement on deposit once the buyer has accepted", async function () {
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await expect(escrow.connect(buyer).acceptDeal(1, correlation))
+        .to.not.emit(escrow, "PayToAgreementRequested");
+      await expect(deposit()).to.emit(escrow, "PayToAgreementRequested");
+    });
+
+    it("should not retry the agreement before the buyer accepts", async function () {
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await deposit();
+      await escrow.connect(operator).reportAgreementRejected(1, ethers.encodeBytes32String("DECLINED"));
+
+      await expect(escrow.connect(seller).retryAgreement(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "BuyerNotAccepted");
+      await expect(escrow.connect(seller).refundNFT(1))
         .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+    });
+
+    it("should let the buyer decline before and after the deposit", async function () {
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await expect(escrow.connect(buyer).buyerDecline(1))
+        .to.emit(escrow, "BuyerDeclined")
+        .withArgs(1, buyer.address)
         .and.to.emit(escrow, "EscrowCancelled");
+      expect((await escrow.getDeal(1)).state).to.equal(State.Cancelled);
 
+      await openWithOptions({}, "INV-2");
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(2, "INV-2");
+      await expect(escrow.connect(seller).buyerDecline(2))
+        .to.be.revertedWithCustomError(escrow, "NotBuyer");
+      await expect(escrow.connect(buyer).buyerDecline(2))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(2, seller.address);
+      expect((await escrow.getDeal(2)).state).to.equal(State.Refunded);
       expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
     });
 
-    it("should allow admin emergency refund without NFT", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should let the buyer cancel an accepted deal until the agreement is confirmed", async function () {
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await expect(escrow.connect(buyer).buyerCancel(1))
+        .to.be.revertedWithCustomError(escrow, "BuyerNotAccepted");
+      await escrow.connect(buyer).acceptDeal(1, correlation);
+      await deposit();
+      await expect(escrow.connect(buyer).buyerDecline(1))
+        .to.be.revertedWithCustomError(escrow, "AlreadyAccepted");
+
+      await expect(escrow.connect(buyer).buyerCancel(1))
+        .to.emit(escrow, "BuyerCancelled")
+        .withArgs(1, buyer.address)
+        .and.to.emit(escrow, "NftRefunded");
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
 
-      await expect(escrow.connect(admin).emergencyRefund(1))
-        .to.emit(escrow, "EscrowCancelled")
-        .and.to.not.emit(escrow, "NftRefunded");
+    it("should not let the buyer back out once the agreement is confirmed", async function () {
+      await openWithOptions({});
+      await deposit();
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+
+      await expect(escrow.connect(buyer).buyerDecline(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.NftDeposited, State.AgreementConfirmed);
     });
+  });
 
-    it("should reject emergency refund from non-admin", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+  describe("Price Amendment", function () {
+    const newPrice = 90_000;
 
-      await expect(
-        escrow.connect(seller).emergencyRefund(1)
-      ).to.be.reverted;
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
     });
 
-    it("should reject emergency refund after payment", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    // Both parties sign the same amendment; returns the submitter's call
+    async function amend(fields = {}, signers = [seller, buyer], options = { nonce: 1 }) {
+      const amendment = { id: 1, correlationId: correlation, priceCents: newPrice, ...fields };
+      const signed = [];
+      for (const signer of signers) signed.push(await signPriceAmendment(signer, escrow, amendment, options));
+      return escrow.connect(other).amendPrice(signed[0].attestation, signed[0].signature, signed[1].signature);
+    }
+
+    it("should apply a price change both parties signed before the deposit", async function () {
+      await expect(amend())
+        .to.emit(escrow, "PriceAmended")
+        .withArgs(1, priceCents, newPrice)
+        .and.to.not.emit(escrow, "PayToAgreementRequested");
+      expect((await escrow.getDeal(1)).priceCents).to.equal(newPrice);
+      expect(await escrow.nonceUsed(buyer.address, 1)).to.equal(true);
+
+      await expect(amend({ priceCents: 80_000 }))
+        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed")
+        .withArgs(seller.address, 1);
+    });
 
+    it("should request the agreement again for the new price after the deposit", async function () {
       await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
       await escrow.connect(seller).depositNFT(1, correlation);
+      // Past the 7-day agreement timeout, which the amendment restarts
+      await time.increase(8 * 24 * 60 * 60);
+      expect(await escrow.canRefund(1)).to.equal(true);
+
+      await expect(amend())
+        .to.emit(escrow, "PayToAgreementRequested")
+        .withArgs(1, correlation, ethers.id(correlation));
+      expect((await escrow.getDeal(1)).depositTimestamp).to.equal(await time.latest());
+      expect(await escrow.canRefund(1)).to.equal(false);
+
       await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
-      await escrow.connect(operator).confirmPayment(1, "RXN-123", priceCents, "AUD");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "PaymentAmountMismatch");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", newPrice, "AUD"))
+        .to.emit(escrow, "NftReleased");
+      await expect(amend({}, [seller, buyer], { nonce: 2 }))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
+    });
 
-      await expect(
-        escrow.connect(admin).emergencyRefund(1)
-      ).to.be.revertedWithCustomError(escrow, "WrongState");
+    it("should reject amendments without both signatures or past their deadline", async function () {
+      await expect(amend({}, [seller, other]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPartySignature")
+        .withArgs(buyer.address);
+      await expect(amend({}, [buyer, buyer]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPartySignature")
+        .withArgs(seller.address);
+      await expect(amend({ correlationId: "INV-WRONG" }))
+        .to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+      await expect(amend({ priceCents: 0 }))
+        .to.be.revertedWithCustomError(escrow, "InvalidPrice");
+
+      const deadline = (await time.latest()) + 60;
+      await time.increase(120);
+      await expect(amend({}, [seller, buyer], { nonce: 1, deadline }))
+        .to.be.revertedWithCustomError(escrow, "ExpiredAttestation")
+        .withArgs(deadline);
     });
   });
 
-  describe("View Functions", function () {
-    it("should return correct next ID", async function () {
-      expect(await escrow.nextId()).to.equal(1);
+  describe("Direct Deposit", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
 
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    async function transferIn(data, from = seller) {
+      return nft
+        .connect(from)
+        ["safeTransferFrom(address,address,uint256,bytes)"](from.address, await escrow.getAddress(), tokenId, data);
+    }
 
-      expect(await escrow.nextId()).to.equal(2);
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
     });
 
-    it("should return correct deal data", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should deposit with safeTransferFrom carrying the deal id and correlation ID", async function () {
+      await expect(transferIn(coder.encode(["uint256", "string"], [1, correlation])))
+        .to.emit(escrow, "NftDeposited")
+        .withArgs(1, await nft.getAddress(), tokenId)
+        .and.to.emit(escrow, "PayToAgreementRequested")
+        .withArgs(1, correlation, ethers.id(correlation));
+      expect((await escrow.getDeal(1)).state).to.equal(State.NftDeposited);
+      expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+    });
 
-      const deal = await escrow.getDeal(1);
-      expect(deal.seller).to.equal(seller.address);
-      expect(deal.buyer).to.equal(buyer.address);
-      expect(deal.nft).to.equal(await nft.getAddress());
-      expect(deal.tokenId).to.equal(tokenId);
-      expect(deal.priceCents).to.equal(priceCents);
-      expect(deal.state).to.equal(State.Opened);
+    it("should reject unsolicited or mismatched transfers", async function () {
+      await expect(transferIn("0x"))
+        .to.be.revertedWithCustomError(escrow, "UnsolicitedTransfer");
+      await expect(transferIn(coder.encode(["uint256", "string"], [1, "INV-WRONG"])))
+        .to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+      await expect(transferIn(coder.encode(["uint256", "string"], [2, correlation])))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.Opened, State.None);
+
+      // A token other than the deal's
+      await nft.connect(seller).mint(seller.address);
+      await expect(
+        nft
+          .connect(seller)
+          ["safeTransferFrom(address,address,uint256,bytes)"](
+            seller.address,
+            await escrow.getAddress(),
+            2,
+            coder.encode(["uint256", "string"], [1, correlation])
+          )
+      ).to.be.revertedWithCustomError(escrow, "InvalidNFT");
+
+      // Calling the hook directly does not move a token
+      const data = coder.encode(["uint256", "string"], [1, correlation]);
+      await expect(escrow.connect(seller).onERC721Received(seller.address, seller.address, tokenId, data))
+        .to.be.revertedWithCustomError(escrow, "InvalidNFT");
+
+      await escrow.connect(admin).pause(await escrow.PAUSE_DEPOSIT());
+      await expect(transferIn(coder.encode(["uint256", "string"], [1, correlation])))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused");
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
     });
 
-    it("should return correct canRefund status", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should reject ERC-1155 tokens sent outside a bundle deposit", async function () {
+      const Editions = await ethers.getContractFactory("TestERC1155");
+      const editions = await Editions.connect(seller).deploy();
+      await editions.connect(seller).mint(seller.address, 7, 10);
+
+      await expect(editions.connect(seller).safeTransferFrom(seller.address, await escrow.getAddress(), 7, 1, "0x"))
+        .to.be.revertedWithCustomError(escrow, "UnsolicitedTransfer");
+    });
 
+    it("should let the admin rescue a token held without a deal", async function () {
+      const item = [0, await nft.getAddress(), tokenId, 1];
       await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
       await escrow.connect(seller).depositNFT(1, correlation);
+      await expect(escrow.connect(admin).rescueToken(item, seller.address))
+        .to.be.revertedWithCustomError(escrow, "AssetInEscrow")
+        .withArgs(await nft.getAddress(), tokenId);
 
-      expect(await escrow.canRefund(1)).to.be.false;
+      // transferFrom skips onERC721Received
+      await nft.connect(seller).mint(seller.address);
+      await nft.connect(seller).transferFrom(seller.address, await escrow.getAddress(), 2);
+      const stray = [0, await nft.getAddress(), 2, 1];
+      await expect(escrow.connect(other).rescueToken(stray, other.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(admin).rescueToken(stray, seller.address))
+        .to.emit(escrow, "TokenRescued")
+        .withArgs(await nft.getAddress(), 2, 1, seller.address);
+      expect(await nft.ownerOf(2)).to.equal(seller.address);
+    });
+  });
 
-      await time.increase(7 * 24 * 60 * 60);
+  describe("Agreement Changes", function () {
+    const DAY = 24 * 60 * 60;
+    const amendedToken = "C01791640642294";
+    const amended = ethers.encodeBytes32String("AMENDED");
+    const suspended = ethers.encodeBytes32String("PAYER_SUSPENDED");
+    const resumed = ethers.encodeBytes32String("PAYER_RESUMED");
 
-      expect(await escrow.canRefund(1)).to.be.true;
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
     });
-  });
 
-  describe("NFT Ownership Validation", function () {
-    it("should reject deposit if seller doesn't own NFT", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should replace the agreement token and request the payment under it", async function () {
+      const due = (await escrow.getDeal(1)).agreementTimestamp;
+      await expect(escrow.connect(other).amendAgreement(1, correlation, amendedToken, amended))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(operator).amendAgreement(1, "INV-OTHER", amendedToken, amended))
+        .to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+      await expect(escrow.connect(operator).amendAgreement(1, correlation, "", amended))
+        .to.be.revertedWithCustomError(escrow, "EmptyString");
+
+      const tokenHash = ethers.keccak256(ethers.toUtf8Bytes(amendedToken));
+      await expect(escrow.connect(operator).amendAgreement(1, correlation, amendedToken, amended))
+        .to.emit(escrow, "AgreementAmended")
+        .withArgs(1, amendedToken, tokenHash, amended)
+        .and.to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, anyValue, amendedToken, priceCents, 1, due);
+      expect((await escrow.getDeal(1)).agreementTokenHash).to.equal(tokenHash);
+
+      // A failed payment is retried under the amended token only
+      await escrow.connect(operator).reportPaymentFailed(1, ethers.encodeBytes32String("INSUFFICIENT_FUNDS"));
+      await expect(escrow.connect(seller).retryPayment(1, correlation, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "MismatchedAgreementToken");
+      await escrow.connect(seller).retryPayment(1, correlation, amendedToken);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "NftReleased");
+    });
 
-      // Transfer NFT away
-      await nft.connect(seller).transferFrom(seller.address, other.address, tokenId);
+    it("should stop payments and the payment timeout while the agreement is suspended", async function () {
+      await expect(escrow.connect(operator).resumeAgreement(1, correlation, agreementToken, resumed))
+        .to.be.revertedWithCustomError(escrow, "AgreementNotSuspended");
+      await time.increase(10 * DAY);
+      await expect(escrow.connect(operator).suspendAgreement(1, suspended))
+        .to.emit(escrow, "AgreementSuspended")
+        .withArgs(1, suspended);
+      const { agreementTimestamp, suspendedAt } = await escrow.getDeal(1);
+      expect(suspendedAt).to.equal(await time.latest());
+
+      await expect(escrow.connect(operator).suspendAgreement(1, suspended))
+        .to.be.revertedWithCustomError(escrow, "AgreementNotActive");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "AgreementNotActive");
+      await expect(escrow.connect(operator).amendAgreement(1, correlation, amendedToken, amended))
+        .to.be.revertedWithCustomError(escrow, "AgreementNotActive");
+
+      // 39 days later only 10 days of the 30-day payment timeout have run
+      await time.increase(29 * DAY);
+      expect(await escrow.canRefund(1)).to.equal(false);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
 
-      await expect(
-        escrow.connect(seller).depositNFT(1, correlation)
-      ).to.be.revertedWithCustomError(escrow, "InvalidNFT");
+      const tx = await escrow.connect(operator).resumeAgreement(1, correlation, agreementToken, resumed);
+      const due = agreementTimestamp + BigInt(await time.latest()) - suspendedAt;
+      await expect(tx)
+        .to.emit(escrow, "AgreementResumed")
+        .withArgs(1, resumed)
+        .and.to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, anyValue, agreementToken, priceCents, 1, due);
+      expect((await escrow.getDeal(1)).suspendedAt).to.equal(0);
+
+      await time.increaseTo(due + BigInt(30 * DAY) - 2n);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
+      await expect(escrow.connect(seller).refundNFT(1)).to.emit(escrow, "NftRefunded");
     });
 
-    it("should reject deposit if NFT not approved", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should let the payment timeout run again once the suspension lasted paymentTimeout", async function () {
+      const { agreementTimestamp } = await escrow.getDeal(1);
+      await time.increase(10 * DAY);
+      await escrow.connect(operator).suspendAgreement(1, suspended);
 
-      await expect(
-        escrow.connect(seller).depositNFT(1, correlation)
-      ).to.be.revertedWithCustomError(escrow, "NotApproved");
+      // Held for 30 days, then the remaining 20 days of the timeout run while still suspended
+      const timeout = agreementTimestamp + BigInt(60 * DAY);
+      await time.increaseTo(timeout - 2n);
+      expect(await escrow.canRefund(1)).to.equal(false);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
     });
-  });
 
-  describe("Correlation ID Verification", function () {
-    it("should reject deposit with wrong correlation ID", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+    it("should put the payment back by at most paymentTimeout on resume", async function () {
+      const { agreementTimestamp } = await escrow.getDeal(1);
+      await escrow.connect(operator).suspendAgreement(1, suspended);
+      await time.increase(45 * DAY);
 
-      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await expect(escrow.connect(operator).resumeAgreement(1, correlation, agreementToken, resumed))
+        .to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, anyValue, agreementToken, priceCents, 1, agreementTimestamp + BigInt(30 * DAY));
+    });
 
-      // The contract's MismatchedCorrelation check currently triggers the EmptyString check 
-      // if the string is empty, but for a wrong, non-empty string, MismatchedCorrelation is expected.
-      // Based on the contract's logic for a non-empty string:
-      await expect(
-        escrow.connect(seller).depositNFT(1, "WRONG-ID")
-      ).to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+    it("should end the suspension when the deal leaves AgreementConfirmed", async function () {
+      await escrow.connect(operator).suspendAgreement(1, suspended);
+      await escrow.connect(buyer).raiseDispute(1, ethers.id("not paid"));
+      expect((await escrow.getDeal(1)).suspendedAt).to.equal(0);
+      await expect(escrow.connect(operator).suspendAgreement(1, suspended))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
     });
+  });
 
-    it("should reject confirmAgreement with wrong correlation ID", async function () {
-      await escrow.connect(seller).openEscrow(
-        buyer.address,
-        await nft.getAddress(),
-        tokenId,
-        priceCents,
-        correlation
-      );
+  describe("Payouts", function () {
+    const FEE_BPS = 250;
+    const ROYALTY_BPS = 500;
+    let creator, royaltyNft;
+
+    beforeEach(async function () {
+      creator = other;
+      const RoyaltyNFT = await ethers.getContractFactory("TestRoyaltyERC721");
+      royaltyNft = await RoyaltyNFT.connect(seller).deploy(creator.address, ROYALTY_BPS);
+      await royaltyNft.connect(seller).mint(seller.address);
+    });
+
+    async function openRoyaltyDeal(correlationId = correlation) {
+      return escrow
+        .connect(seller)
+        .openEscrow(buyer.address, await royaltyNft.getAddress(), tokenId, priceCents, correlationId);
+    }
+
+    async function payRoyaltyDeal() {
+      await royaltyNft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      return escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+    }
 
+    it("should pay the whole price to the seller without a fee or royalty", async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
       await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
       await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
 
-      await expect(
-        escrow.connect(operator).confirmAgreement(1, "WRONG-ID", agreementToken)
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "PayoutInstruction")
+        .withArgs(1, seller.address, priceCents, ethers.ZeroAddress, 0, ethers.ZeroAddress, 0);
+    });
+
+    it("should split the platform fee and ERC-2981 royalty when the deal is opened", async function () {
+      await expect(escrow.connect(admin).setPlatformFee(admin.address, FEE_BPS))
+        .to.emit(escrow, "PlatformFeeUpdated")
+        .withArgs(admin.address, FEE_BPS);
+      await expect(openRoyaltyDeal())
+        .to.emit(escrow, "PayoutSplit")
+        .withArgs(1, admin.address, 2_500, creator.address, 5_000);
+
+      // Deals keep the fee they were opened with
+      await escrow.connect(admin).setPlatformFee(ethers.ZeroAddress, 0);
+      const payout = await escrow.getPayout(1);
+      expect(payout.feeBps).to.equal(FEE_BPS);
+      expect(payout.royaltyCents).to.equal(5_000);
+
+      await expect(payRoyaltyDeal())
+        .to.emit(escrow, "PaymentConfirmed")
+        .and.to.emit(escrow, "PayoutInstruction")
+        .withArgs(1, seller.address, 92_500, admin.address, 2_500, creator.address, 5_000);
+    });
+
+    it("should re-split an amended price and pay out instalment deals with the last payment", async function () {
+      await escrow.connect(admin).setPlatformFee(admin.address, FEE_BPS);
+      const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+      await escrow
+        .connect(seller)
+        .getFunction(overload.format())(
+          buyer.address,
+          await royaltyNft.getAddress(),
+          tokenId,
+          priceCents,
+          correlation,
+          dealOptions({ instalments: 2, instalmentInterval: 1 })
+        );
+
+      const amendment = { id: 1, correlationId: correlation, priceCents: 80_000 };
+      const bySeller = await signPriceAmendment(seller, escrow, amendment, { nonce: 1 });
+      const byBuyer = await signPriceAmendment(buyer, escrow, amendment, { nonce: 1 });
+      await expect(escrow.amendPrice(bySeller.attestation, bySeller.signature, byBuyer.signature))
+        .to.emit(escrow, "PayoutSplit")
+        .withArgs(1, admin.address, 2_000, creator.address, 4_000);
+
+      await royaltyNft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", 40_000, "AUD"))
+        .to.not.emit(escrow, "PayoutInstruction");
+      await time.increase(1);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-2", 40_000, "AUD"))
+        .to.emit(escrow, "PayoutInstruction")
+        .withArgs(1, seller.address, 74_000, admin.address, 2_000, creator.address, 4_000);
+    });
+
+    it("should reject a platform fee above the maximum or without a recipient", async function () {
+      await expect(escrow.connect(admin).setPlatformFee(admin.address, 1_001))
+        .to.be.revertedWithCustomError(escrow, "InvalidPlatformFee");
+      await expect(escrow.connect(admin).setPlatformFee(ethers.ZeroAddress, FEE_BPS))
+        .to.be.revertedWithCustomError(escrow, "InvalidPlatformFee");
+      await expect(escrow.connect(other).setPlatformFee(admin.address, FEE_BPS))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Hash-only Deals", function () {
+    const salt = ethers.id("deal 1 salt");
+    const commit = (raw, s = salt) => ethers.solidityPackedKeccak256(["bytes32", "string"], [s, raw]);
+    const correlationCommitment = commit(correlation);
+    const tokenCommitment = commit(agreementToken);
+
+    async function openAndDeposit() {
+      await openWithOptions({ hashOnly: true }, correlationCommitment);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      return escrow.connect(seller).depositNFT(1, correlationCommitment);
+    }
+
+    it("should take and emit commitments in place of raw banking references", async function () {
+      await expect(openWithOptions({ hashOnly: true })).to.be.revertedWithCustomError(escrow, "NotACommitment");
+      await expect(openWithOptions({ hashOnly: true }, `0x${"g".repeat(64)}`))
+        .to.be.revertedWithCustomError(escrow, "NotACommitment");
+      await expect(openAndDeposit())
+        .to.emit(escrow, "PayToAgreementRequested")
+        .withArgs(1, correlationCommitment, ethers.id(correlationCommitment));
+      const [opened] = await escrow.queryFilter(escrow.filters.EscrowOpened(1));
+      expect(opened.args.correlationIdRaw).to.equal(correlationCommitment);
+
+      await expect(escrow.connect(operator).confirmAgreement(1, correlationCommitment, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "NotACommitment");
+      await expect(escrow.connect(operator).confirmAgreement(1, correlationCommitment, tokenCommitment))
+        .to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlationCommitment, ethers.id(correlationCommitment), tokenCommitment, priceCents, 1, anyValue);
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "NotACommitment");
+      // Shaped like a commitment, but carrying a raw reference
+      const disguised = "0xINV-123456790-ACME-PTY-LTD-BSB-062-000-ACCT-12345678------------";
+      expect(disguised).to.have.length(66);
+      await expect(escrow.connect(operator).confirmPayment(1, disguised, priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "NotACommitment");
+      const upperCase = `0x${commit("RXN-1").slice(2).toUpperCase()}`;
+      await expect(escrow.connect(operator).confirmPayment(1, upperCase, priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "NotACommitment");
+      await expect(escrow.connect(operator).confirmPayment(1, commit("RXN-1"), priceCents, "AUD"))
+        .to.emit(escrow, "PaymentConfirmed")
+        .withArgs(1, commit("RXN-1"), priceCents, "AUD")
+        .and.to.emit(escrow, "NftReleased");
+    });
+
+    it("should let a holder of a raw value and its salt verify it", async function () {
+      await openAndDeposit();
+      await escrow.connect(operator).confirmAgreement(1, correlationCommitment, tokenCommitment);
+
+      expect(await escrow.verifyCommitment(1, correlation, salt)).to.deep.equal([true, false]);
+      expect(await escrow.verifyCommitment(1, agreementToken, salt)).to.deep.equal([false, true]);
+      expect(await escrow.verifyCommitment(1, correlation, ethers.id("other salt"))).to.deep.equal([false, false]);
+    });
+
+    it("should keep accepting raw values on other deals", async function () {
+      await openWithOptions({}, "0xnot-a-commitment");
+      expect((await escrow.getDeal(1)).hashOnly).to.equal(false);
+      expect((await escrow.getDeal(1)).correlationIdHash).to.equal(ethers.id("0xnot-a-commitment"));
+    });
+  });
+
+  describe("Settlement Window", function () {
+    const WINDOW = 24 * 60 * 60;
+    const recalled = ethers.encodeBytes32String("RECALLED");
+
+    beforeEach(async function () {
+      await escrow.connect(admin).setSettlementWindow(WINDOW);
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+    });
+
+    async function confirmPayment() {
+      const tx = await escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+      return { tx, releaseTimestamp: (await time.latest()) + WINDOW };
+    }
+
+    it("should hold the NFT until the window has passed, then let anyone release it", async function () {
+      const { tx, releaseTimestamp } = await confirmPayment();
+      await expect(tx)
+        .to.emit(escrow, "ReleasePending")
+        .withArgs(1, releaseTimestamp)
+        .and.to.not.emit(escrow, "NftReleased")
+        .and.to.not.emit(escrow, "PayoutInstruction");
+      expect((await escrow.getDeal(1)).state).to.equal(State.PaidPendingRelease);
+      expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+
+      await expect(escrow.connect(other).finalizeRelease(1))
+        .to.be.revertedWithCustomError(escrow, "SettlementWindowOpen")
+        .withArgs(releaseTimestamp);
+      await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
+
+      await time.increaseTo(releaseTimestamp);
+      await expect(escrow.connect(operator).reportPaymentReversed(1, recalled))
+        .to.be.revertedWithCustomError(escrow, "SettlementWindowClosed");
+      await expect(escrow.connect(other).finalizeRelease(1))
+        .to.emit(escrow, "NftReleased")
+        .withArgs(1, buyer.address)
+        .and.to.emit(escrow, "PayoutInstruction")
+        .withArgs(1, seller.address, priceCents, ethers.ZeroAddress, 0, ethers.ZeroAddress, 0);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should return the NFT to the seller when the payment is reversed in the window", async function () {
+      await confirmPayment();
+      await expect(escrow.connect(other).reportPaymentReversed(1, recalled))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(operator).reportPaymentReversed(1, recalled))
+        .to.emit(escrow, "PaymentReversed")
+        .withArgs(1, recalled)
+        .and.to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Refunded);
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
+
+    it("should keep the release time of pending deals when the window changes", async function () {
+      const { releaseTimestamp } = await confirmPayment();
+      await expect(escrow.connect(admin).setSettlementWindow(0))
+        .to.emit(escrow, "SettlementWindowUpdated")
+        .withArgs(0);
+      expect((await escrow.getDeal(1)).releaseTimestamp).to.equal(releaseTimestamp);
+
+      await expect(escrow.connect(admin).setSettlementWindow(181 * WINDOW))
+        .to.be.revertedWithCustomError(escrow, "InvalidSettlementWindow");
+      await expect(escrow.connect(other).setSettlementWindow(WINDOW))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Claim Release", function () {
+    async function payDeal(buyerAddress, options) {
+      const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+      await escrow
+        .connect(seller)
+        .getFunction(overload.format())(buyerAddress, await nft.getAddress(), tokenId, priceCents, correlation, dealOptions(options));
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      return escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+    }
+
+    it("should hold the NFT for the buyer to claim in claim mode", async function () {
+      await expect(payDeal(buyer.address, { claimRelease: true }))
+        .to.emit(escrow, "ReleaseClaimable")
+        .withArgs(1, buyer.address)
+        .and.to.not.emit(escrow, "NftReleased");
+      const deal = await escrow.getDeal(1);
+      expect(deal.state).to.equal(State.Paid);
+      expect(deal.awaitingClaim).to.be.true;
+      expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+
+      await expect(escrow.connect(other).claim(1, other.address))
+        .to.be.revertedWithCustomError(escrow, "NotBuyerOrDelegate");
+      await expect(escrow.connect(buyer).claim(1, other.address))
+        .to.emit(escrow, "NftReleased")
+        .withArgs(1, other.address);
+      expect(await nft.ownerOf(tokenId)).to.equal(other.address);
+      await expect(escrow.connect(buyer).claim(1, buyer.address))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("should fall back to a claim when the buyer cannot receive the NFT", async function () {
+      const Wallet = await ethers.getContractFactory("TestWallet");
+      const wallet = await Wallet.connect(buyer).deploy();
+      const walletAddress = await wallet.getAddress();
+
+      await expect(payDeal(walletAddress, {}))
+        .to.emit(escrow, "ReleaseClaimable")
+        .withArgs(1, walletAddress);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+
+      // The wallet names its owner's account to collect the NFT
+      const delegate = escrow.interface.encodeFunctionData("delegateClaim", [1, buyer.address]);
+      await expect(wallet.execute(await escrow.getAddress(), delegate))
+        .to.emit(escrow, "ClaimDelegated")
+        .withArgs(1, buyer.address);
+      expect(await escrow.claimDelegate(1)).to.equal(buyer.address);
+      await expect(escrow.connect(buyer).delegateClaim(1, other.address))
+        .to.be.revertedWithCustomError(escrow, "NotBuyer");
+
+      await escrow.connect(buyer).claim(1, buyer.address);
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should fail a release sent with less gas than its reserve", async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+
+      // The caller cannot pick a gas limit that makes the push fail and park the NFT for a claim
+      const confirm = escrow.connect(operator).confirmPayment;
+      const needed = await confirm.estimateGas(1, "RXN-1", priceCents, "AUD");
+      await expect(confirm(1, "RXN-1", priceCents, "AUD", { gasLimit: needed - 30_000n }))
+        .to.be.revertedWithCustomError(escrow, "InsufficientGas");
+      await expect(confirm(1, "RXN-1", priceCents, "AUD", { gasLimit: needed }))
+        .to.emit(escrow, "NftReleased")
+        .withArgs(1, buyer.address);
+    });
+
+    it("should fall back to a claim when the buyer's hook uses up all its gas", async function () {
+      const Receiver = await ethers.getContractFactory("TestHeavyReceiver");
+      const receiver = await Receiver.deploy(ethers.MaxUint256);
+      const receiverAddress = await receiver.getAddress();
+      await escrow.connect(admin).setSettlementWindow(3600);
+
+      await payDeal(receiverAddress, {});
+      await time.increase(3600);
+      await expect(escrow.connect(other).finalizeRelease(1))
+        .to.emit(escrow, "ReleaseClaimable")
+        .withArgs(1, receiverAddress);
+      const deal = await escrow.getDeal(1);
+      expect(deal.state).to.equal(State.Paid);
+      expect(deal.awaitingClaim).to.be.true;
+    });
+
+    it("should only let the escrow call pushAssets", async function () {
+      await expect(escrow.connect(other).pushAssets(1, other.address))
+        .to.be.revertedWithCustomError(escrow, "OnlyEscrow");
+    });
+  });
+
+  describe("Bundle Deals", function () {
+    const ERC721 = 0;
+    const ERC1155 = 1;
+    let editions, items;
+
+    beforeEach(async function () {
+      const Editions = await ethers.getContractFactory("TestERC1155");
+      editions = await Editions.connect(seller).deploy();
+      await editions.waitForDeployment();
+      await editions.connect(seller).mint(seller.address, 7, 10);
+      await nft.connect(seller).mint(seller.address); // tokenId 2
+
+      items = [
+        [ERC721, await nft.getAddress(), 1, 1],
+        [ERC721, await nft.getAddress(), 2, 1],
+        [ERC1155, await editions.getAddress(), 7, 4],
+      ];
+    });
+
+    async function openBundle(bundle = items) {
+      return escrow.connect(seller).openBundleEscrow(buyer.address, bundle, priceCents, correlation, dealOptions());
+    }
+
+    async function approveAll() {
+      await nft.connect(seller).setApprovalForAll(await escrow.getAddress(), true);
+      await editions.connect(seller).setApprovalForAll(await escrow.getAddress(), true);
+    }
+
+    it("should deposit and release every item of the bundle together", async function () {
+      await expect(openBundle())
+        .to.emit(escrow, "BundleOpened")
+        .withArgs(1, items);
+      expect((await escrow.getBundle(1)).map((item) => [...item])).to.deep.equal(items.map((item) => item.map(BigInt)));
+      const [ids] = await escrow.dealsByToken(await editions.getAddress(), 7, 0, 10);
+      expect([...ids]).to.deep.equal([1n]);
+
+      await approveAll();
+      await expect(escrow.connect(seller).depositNFT(1, correlation))
+        .to.emit(escrow, "NftDeposited")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect(await nft.ownerOf(2)).to.equal(await escrow.getAddress());
+      expect(await editions.balanceOf(await escrow.getAddress(), 7)).to.equal(4);
+
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "NftReleased")
+        .withArgs(1, buyer.address);
+      expect(await nft.ownerOf(1)).to.equal(buyer.address);
+      expect(await nft.ownerOf(2)).to.equal(buyer.address);
+      expect(await editions.balanceOf(buyer.address, 7)).to.equal(4);
+      expect(await editions.balanceOf(seller.address, 7)).to.equal(6);
+    });
+
+    it("should return the whole bundle to the seller on refund", async function () {
+      await openBundle();
+      await approveAll();
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).reportAgreementRejected(1, ethers.encodeBytes32String("DECLINED"));
+
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+      expect(await nft.ownerOf(2)).to.equal(seller.address);
+      expect(await editions.balanceOf(seller.address, 7)).to.equal(10);
+    });
+
+    it("should revert the whole deposit if any item is not approved", async function () {
+      await openBundle();
+      await nft.connect(seller).setApprovalForAll(await escrow.getAddress(), true);
+
+      await expect(escrow.connect(seller).depositNFT(1, correlation))
+        .to.be.revertedWithCustomError(editions, "ERC1155MissingApprovalForAll");
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Opened);
+    });
+
+    it("should reject empty bundles and malformed items", async function () {
+      await expect(openBundle([]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(0);
+      await expect(openBundle([items[0], [ERC721, await nft.getAddress(), 2, 2]]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(1);
+      await expect(openBundle([[ERC1155, await editions.getAddress(), 7, 0]]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(0);
+      await expect(openBundle([[ERC721, ethers.ZeroAddress, 1, 1]]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(0);
+    });
+
+    it("should reject a bundle listing the same token twice", async function () {
+      await expect(openBundle([...items, items[0]]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(3);
+      await expect(openBundle([items[2], [ERC1155, await editions.getAddress(), 7, 1]]))
+        .to.be.revertedWithCustomError(escrow, "InvalidBundle")
+        .withArgs(1);
+    });
+  });
+
+  describe("PayTo Failures", function () {
+    const declined = ethers.encodeBytes32String("DECLINED");
+
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+    });
+
+    it("should let the seller reclaim the NFT right after a rejected agreement", async function () {
+      await expect(escrow.connect(operator).reportAgreementRejected(1, declined))
+        .to.emit(escrow, "AgreementRejected")
+        .withArgs(1, declined);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+      expect(await escrow.canRefund(1)).to.be.true;
+
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
+
+    it("should report a failed payment only after the agreement", async function () {
+      await expect(escrow.connect(operator).reportPaymentFailed(1, declined))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.AgreementConfirmed, State.NftDeposited);
+
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await expect(escrow.connect(operator).reportPaymentFailed(1, declined))
+        .to.emit(escrow, "PaymentFailed")
+        .withArgs(1, declined);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.AgreementConfirmed, State.Failed);
+    });
+
+    it("should reject failure reports from non-operator", async function () {
+      await expect(escrow.connect(seller).reportAgreementRejected(1, declined))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should re-request the agreement on retry", async function () {
+      await escrow.connect(operator).reportAgreementRejected(1, declined);
+
+      await expect(escrow.connect(seller).retryPayment(1, correlation, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "RetryNotAllowed");
+      await expect(escrow.connect(other).retryAgreement(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "NotSellerOrAdmin");
+      await expect(escrow.connect(seller).retryAgreement(1, correlation))
+        .to.emit(escrow, "PayToAgreementRequested")
+        .withArgs(1, correlation, ethers.id(correlation));
+
+      expect((await escrow.getDeal(1)).state).to.equal(State.NftDeposited);
+      expect(await escrow.canRefund(1)).to.be.false;
+    });
+
+    it("should re-request the payment on retry", async function () {
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await escrow.connect(operator).reportPaymentFailed(1, declined);
+
+      await expect(escrow.connect(seller).retryAgreement(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "RetryNotAllowed");
+      await expect(escrow.connect(seller).retryPayment(1, correlation, "C000"))
+        .to.be.revertedWithCustomError(escrow, "MismatchedAgreementToken");
+      await expect(escrow.connect(seller).retryPayment(1, correlation, agreementToken))
+        .to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, ethers.id(correlation), agreementToken, priceCents, 1, anyValue);
+
+      await escrow.connect(operator).confirmPayment(1, "RXN-2", priceCents, "AUD");
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should return the NFT on emergency refund of a failed deal", async function () {
+      await escrow.connect(operator).reportAgreementRejected(1, declined);
+
+      await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.emit(escrow, "NftRefunded");
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
+  });
+
+  describe("Instalments", function () {
+    const MONTH = 30 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await openWithOptions({ instalments: 3, instalmentInterval: MONTH });
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+    });
+
+    it("should request the first instalment when the agreement is confirmed", async function () {
+      const tx = escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await expect(tx)
+        .to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, ethers.id(correlation), agreementToken, 33_333, 1, await time.latest() + 1);
+
+      expect(await escrow.amountDue(1)).to.equal(33_333);
+      const plan = await escrow.getInstalmentPlan(1);
+      expect(plan.count).to.equal(3);
+      expect(plan.interval).to.equal(MONTH);
+    });
+
+    it("should accumulate instalments and release the NFT on the last one", async function () {
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      const start = await time.latest();
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "PaymentAmountMismatch")
+        .withArgs(33_333, priceCents);
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", 33_333, "AUD"))
+        .to.emit(escrow, "PayToPaymentRequested")
+        .withArgs(1, correlation, ethers.id(correlation), agreementToken, 33_333, 2, start + MONTH)
+        .and.to.not.emit(escrow, "NftReleased");
+      expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+
+      await escrow.connect(operator).confirmPayment(1, "RXN-2", 33_333, "AUD");
+      expect(await escrow.amountDue(1)).to.equal(33_334);
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-3", 33_334, "AUD"))
+        .to.emit(escrow, "NftReleased")
+        .withArgs(1, buyer.address);
+
+      const plan = await escrow.getInstalmentPlan(1);
+      expect(plan.paid).to.equal(3);
+      expect(plan.paidCents).to.equal(priceCents);
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should record paid instalments for refund when the schedule lapses", async function () {
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await escrow.connect(operator).confirmPayment(1, "RXN-1", 33_333, "AUD");
+
+      // Second instalment falls due a month later, then the 30-day payment timeout runs
+      await time.increase(MONTH + 29 * 24 * 60 * 60);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "TimeoutNotReached");
+
+      await time.increase(24 * 60 * 60);
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address)
+        .and.to.emit(escrow, "InstalmentsRefundDue")
+        .withArgs(1, buyer.address, 33_333);
+    });
+
+    it("should reject an invalid schedule", async function () {
+      await expect(openWithOptions({ instalments: 2, instalmentInterval: 0 }, "INV-2"))
+        .to.be.revertedWithCustomError(escrow, "InvalidInstalments");
+    });
+  });
+
+  describe("Signed Attestations", function () {
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+    });
+
+    function agreement(signer = operator, options = {}) {
+      return signAgreementAttestation(signer, escrow, { id: 1, correlationId: correlation, agreementToken }, options);
+    }
+
+    it("should let any account relay operator-signed confirmations", async function () {
+      const signedAgreement = await agreement();
+      await expect(escrow.connect(other).confirmAgreementWithSig(signedAgreement.attestation, signedAgreement.signature))
+        .to.emit(escrow, "AgreementConfirmed")
+        .withArgs(1, agreementToken, ethers.id(agreementToken));
+
+      const { attestation, signature } = await signPaymentAttestation(operator, escrow, {
+        id: 1,
+        receiptReference: "RXN-1",
+        amountCents: priceCents,
+        currency: "AUD",
+      });
+      await expect(escrow.connect(buyer).confirmPaymentWithSig(attestation, signature))
+        .to.emit(escrow, "PaymentConfirmed")
+        .withArgs(1, "RXN-1", priceCents, "AUD");
+
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+      expect(await escrow.nonceUsed(operator.address, attestation.nonce)).to.be.true;
+    });
+
+    it("should reject a replayed nonce", async function () {
+      const { attestation, signature } = await agreement(operator, { nonce: 7 });
+      await escrow.connect(other).confirmAgreementWithSig(attestation, signature);
+
+      await expect(escrow.connect(other).confirmAgreementWithSig(attestation, signature))
+        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed")
+        .withArgs(operator.address, 7);
+    });
+
+    it("should reject attestations not signed by an operator", async function () {
+      const { attestation, signature } = await agreement(other);
+      await expect(escrow.connect(other).confirmAgreementWithSig(attestation, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidAttestationSigner")
+        .withArgs(other.address);
+
+      // Tampering with a signed field recovers a different signer
+      const signed = await agreement();
+      await expect(escrow.confirmAgreementWithSig({ ...signed.attestation, agreementToken: "C000" }, signed.signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidAttestationSigner");
+    });
+
+    it("should reject an expired attestation", async function () {
+      const deadline = await time.latest();
+      const { attestation, signature } = await agreement(operator, { deadline });
+      await expect(escrow.connect(other).confirmAgreementWithSig(attestation, signature))
+        .to.be.revertedWithCustomError(escrow, "ExpiredAttestation")
+        .withArgs(deadline);
+    });
+  });
+
+  describe("Payment Quorum", function () {
+    let operator2, operator3;
+
+    function digest(receipt, amountCents = priceCents, currency = "AUD") {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes32", "uint256", "bytes32"],
+          [ethers.id(receipt), amountCents, ethers.id(currency)]
+        )
+      );
+    }
+
+    beforeEach(async function () {
+      [, , , , , operator2, operator3] = await ethers.getSigners();
+      for (const account of [operator2, operator3]) {
+        await escrow.connect(admin).grantRole(await escrow.OPERATOR_ROLE(), account.address);
+      }
+      await expect(escrow.connect(admin).setPaymentQuorum(2))
+        .to.emit(escrow, "PaymentQuorumUpdated")
+        .withArgs(2);
+
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+    });
+
+    it("should release the NFT only once the quorum agrees", async function () {
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "PaymentConfirmationVoted")
+        .withArgs(1, operator.address, digest("RXN-1"), 1)
+        .and.to.not.emit(escrow, "PaymentConfirmed");
+      expect(await escrow.paymentVotes(1, "RXN-1", priceCents, "AUD")).to.equal(1);
+      expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+
+      await expect(escrow.connect(operator2).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "PaymentConfirmed")
+        .and.to.emit(escrow, "NftReleased");
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should not count the same operator twice", async function () {
+      await escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+      expect(await escrow.hasConfirmedPayment(1, operator.address)).to.be.true;
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "AlreadyConfirmed")
+        .withArgs(operator.address);
+
+      const { attestation, signature } = await signPaymentAttestation(operator, escrow, {
+        id: 1,
+        receiptReference: "RXN-1",
+        amountCents: priceCents,
+        currency: "AUD",
+      });
+      await expect(escrow.connect(other).confirmPaymentWithSig(attestation, signature))
+        .to.be.revertedWithCustomError(escrow, "AlreadyConfirmed");
+    });
+
+    it("should flag conflicting confirmations", async function () {
+      await escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+
+      await expect(escrow.connect(operator2).confirmPayment(1, "RXN-FORGED", priceCents, "AUD"))
+        .to.emit(escrow, "PaymentConfirmationConflict")
+        .withArgs(1, operator2.address, digest("RXN-1"), digest("RXN-FORGED"))
+        .and.to.not.emit(escrow, "NftReleased");
+
+      // A third operator siding with the first completes the quorum
+      await expect(escrow.connect(operator3).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.emit(escrow, "NftReleased");
+    });
+
+    it("should start a fresh round after a reported failure", async function () {
+      await escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+      await escrow.connect(operator2).reportPaymentFailed(1, ethers.encodeBytes32String("DECLINED"));
+      await escrow.connect(seller).retryPayment(1, correlation, agreementToken);
+
+      expect(await escrow.hasConfirmedPayment(1, operator.address)).to.be.false;
+      await escrow.connect(operator).confirmPayment(1, "RXN-2", priceCents, "AUD");
+      await expect(escrow.connect(operator2).confirmPayment(1, "RXN-2", priceCents, "AUD"))
+        .to.emit(escrow, "NftReleased");
+    });
+
+    it("should only let the admin set a non-zero quorum", async function () {
+      await expect(escrow.connect(operator).setPaymentQuorum(3))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(admin).setPaymentQuorum(0))
+        .to.be.revertedWithCustomError(escrow, "InvalidQuorum");
+    });
+  });
+
+  describe("Disputes", function () {
+    const reasonHash = ethers.id("Item not as described");
+    let arbiter;
+
+    beforeEach(async function () {
+      arbiter = other;
+      await escrow.connect(admin).grantRole(await escrow.ARBITER_ROLE(), arbiter.address);
+
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+    });
+
+    it("should let the buyer or seller raise a dispute", async function () {
+      await expect(escrow.connect(arbiter).raiseDispute(1, reasonHash))
+        .to.be.revertedWithCustomError(escrow, "NotParty");
+
+      await expect(escrow.connect(buyer).raiseDispute(1, reasonHash))
+        .to.emit(escrow, "DisputeRaised")
+        .withArgs(1, buyer.address, reasonHash);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Disputed);
+
+      await expect(escrow.connect(seller).raiseDispute(1, reasonHash))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.AgreementConfirmed, State.Disputed);
+    });
+
+    it("should freeze payment, timeout refunds and emergency refunds", async function () {
+      await escrow.connect(seller).raiseDispute(1, reasonHash);
+      await time.increase(31 * 24 * 60 * 60);
+
+      expect(await escrow.canRefund(1)).to.be.false;
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
+      await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.be.revertedWithCustomError(escrow, "WrongState");
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.AgreementConfirmed, State.Disputed);
+    });
+
+    it("should let the arbiter release the NFT to the buyer", async function () {
+      await escrow.connect(buyer).raiseDispute(1, reasonHash);
+
+      await expect(escrow.connect(arbiter).resolveDispute(1, DisputeOutcome.ReleaseToBuyer))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, DisputeOutcome.ReleaseToBuyer, arbiter.address)
+        .and.to.emit(escrow, "NftReleased")
+        .withArgs(1, buyer.address)
+        .and.to.emit(escrow, "PayoutInstruction")
+        .withArgs(1, seller.address, priceCents, ethers.ZeroAddress, 0, ethers.ZeroAddress, 0);
+
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    });
+
+    it("should let the arbiter return the NFT to the seller", async function () {
+      await escrow.connect(buyer).raiseDispute(1, reasonHash);
+
+      await expect(escrow.connect(arbiter).resolveDispute(1, DisputeOutcome.ReturnToSeller))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Refunded);
+    });
+
+    it("should only let an arbiter resolve an open dispute", async function () {
+      await expect(escrow.connect(arbiter).resolveDispute(1, DisputeOutcome.ReturnToSeller))
+        .to.be.revertedWithCustomError(escrow, "WrongState")
+        .withArgs(State.Disputed, State.AgreementConfirmed);
+
+      await escrow.connect(buyer).raiseDispute(1, reasonHash);
+      await expect(escrow.connect(admin).resolveDispute(1, DisputeOutcome.ReturnToSeller))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Circuit Breaker", function () {
+    const Pause = { Open: 1, Deposit: 2, Confirmations: 4, All: 7 };
+    let guardian;
+
+    beforeEach(async function () {
+      guardian = other;
+      await escrow.connect(admin).grantRole(await escrow.GUARDIAN_ROLE(), guardian.address);
+    });
+
+    async function openAndDeposit() {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+    }
+
+    it("should only let a guardian or the admin pause, and only the admin unpause", async function () {
+      await expect(escrow.connect(seller).pause(Pause.All))
+        .to.be.revertedWithCustomError(escrow, "NotGuardianOrAdmin");
+
+      await expect(escrow.connect(guardian).pause(Pause.Open))
+        .to.emit(escrow, "Paused")
+        .withArgs(guardian.address, Pause.Open, Pause.Open);
+      await expect(escrow.connect(admin).pause(Pause.Deposit))
+        .to.emit(escrow, "Paused")
+        .withArgs(admin.address, Pause.Deposit, Pause.Open | Pause.Deposit);
+
+      await expect(escrow.connect(guardian).unpause(Pause.Open))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(admin).unpause(Pause.Open))
+        .to.emit(escrow, "Unpaused")
+        .withArgs(admin.address, Pause.Open, Pause.Deposit);
+      expect(await escrow.pausedFlags()).to.equal(Pause.Deposit);
+    });
+
+    it("should block openEscrow and depositNFT independently", async function () {
+      await escrow.connect(guardian).pause(Pause.Open);
+      await expect(
+        escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation)
+      ).to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Open);
+      await expect(openWithOptions({}))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Open);
+
+      await escrow.connect(admin).unpause(Pause.Open);
+      await escrow.connect(guardian).pause(Pause.Deposit);
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await expect(escrow.connect(seller).depositNFT(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Deposit);
+    });
+
+    it("should block operator and signed confirmations", async function () {
+      await openAndDeposit();
+      await escrow.connect(guardian).pause(Pause.Confirmations);
+
+      await expect(escrow.connect(operator).confirmAgreement(1, correlation, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      const signed = await signAgreementAttestation(operator, escrow, { id: 1, correlationId: correlation, agreementToken });
+      await expect(escrow.connect(other).confirmAgreementWithSig(signed.attestation, signed.signature))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused");
+
+      await escrow.connect(admin).unpause(Pause.Confirmations);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await escrow.connect(guardian).pause(Pause.All);
+
+      await expect(escrow.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD"))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      const payment = await signPaymentAttestation(operator, escrow, {
+        id: 1,
+        receiptReference: "RXN-1",
+        amountCents: priceCents,
+        currency: "AUD",
+      });
+      await expect(escrow.connect(other).confirmPaymentWithSig(payment.attestation, payment.signature))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused");
+      expect(await escrow.nonceUsed(operator.address, payment.attestation.nonce)).to.be.false;
+    });
+
+    it("should block the calls that request PayTo again", async function () {
+      const reason = ethers.encodeBytes32String("TEST");
+      await openWithOptions({ requireBuyerAcceptance: true });
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(guardian).pause(Pause.Confirmations);
+
+      await expect(escrow.connect(buyer).acceptDeal(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      const amendment = { id: 1, correlationId: correlation, priceCents: 90_000 };
+      const bySeller = await signPriceAmendment(seller, escrow, amendment, { nonce: 1 });
+      const byBuyer = await signPriceAmendment(buyer, escrow, amendment, { nonce: 1 });
+      await expect(escrow.amendPrice(bySeller.attestation, bySeller.signature, byBuyer.signature))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+
+      await escrow.connect(admin).unpause(Pause.Confirmations);
+      await escrow.connect(buyer).acceptDeal(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await escrow.connect(operator).suspendAgreement(1, reason);
+      await escrow.connect(guardian).pause(Pause.Confirmations);
+
+      await expect(escrow.connect(operator).resumeAgreement(1, correlation, agreementToken, reason))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      await escrow.connect(admin).unpause(Pause.Confirmations);
+      await escrow.connect(operator).resumeAgreement(1, correlation, agreementToken, reason);
+      await escrow.connect(guardian).pause(Pause.Confirmations);
+
+      await expect(escrow.connect(operator).amendAgreement(1, correlation, "PTA-2", reason))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      await escrow.connect(operator).reportPaymentFailed(1, reason);
+      await expect(escrow.connect(seller).retryPayment(1, correlation, agreementToken))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+      await expect(escrow.connect(seller).retryAgreement(1, correlation))
+        .to.be.revertedWithCustomError(escrow, "FunctionPaused").withArgs(Pause.Confirmations);
+
+      await escrow.connect(admin).unpause(Pause.Confirmations);
+      await expect(escrow.connect(seller).retryPayment(1, correlation, agreementToken))
+        .to.emit(escrow, "PayToPaymentRequested");
+    });
+
+    it("should keep seller refunds available while everything is paused", async function () {
+      await openAndDeposit();
+      await escrow.connect(guardian).pause(Pause.All);
+
+      await time.increase(8 * 24 * 60 * 60);
+      expect(await escrow.canRefund(1)).to.be.true;
+      await expect(escrow.connect(seller).refundNFT(1))
+        .to.emit(escrow, "NftRefunded")
+        .withArgs(1, seller.address);
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
+  });
+
+  describe("Upgrades", function () {
+    beforeEach(async function () {
+      await escrow.connect(seller).openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+    });
+
+    it("should keep in-flight deals and roles across an upgrade", async function () {
+      const before = await escrow.getDeal(1);
+      const proxy = await escrow.getAddress();
+
+      const V2 = await ethers.getContractFactory("TestEscrowV2");
+      await upgrades.upgradeProxy(proxy, V2.connect(admin), { kind: "uups", call: "initializeV2" });
+      const upgraded = await escrowAt(proxy, admin, "TestEscrowV2");
+
+      expect(await upgraded.getAddress()).to.equal(proxy);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.upgradedAt()).to.be.greaterThan(0);
+      expect(await upgraded.getDeal(1)).to.deep.equal(before);
+      expect(await upgraded.nextId()).to.equal(2);
+      expect(await upgraded.paymentQuorum()).to.equal(1);
+      expect(await upgraded.hasRole(await upgraded.OPERATOR_ROLE(), operator.address)).to.be.true;
+
+      // The deal completes on the new implementation, with the NFT still held by the proxy
+      await upgraded.connect(operator).confirmPayment(1, "RXN-1", priceCents, "AUD");
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+    });
+
+    it("should only let the admin upgrade", async function () {
+      const V2 = await ethers.getContractFactory("TestEscrowV2");
+      const implementation = await V2.deploy();
+
+      await expect(escrow.connect(other).upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, ethers.ZeroHash);
+      await expect(escrow.connect(other).initialize(other.address, await escrow.extension()))
+        .to.be.revertedWithCustomError(escrow, "InvalidInitialization");
+      await expect(implementation.initialize(other.address, await escrow.extension()))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("should only let the admin replace the extension, and only with a contract", async function () {
+      const extension = await deployExtension(admin);
+
+      await expect(escrow.connect(other).setExtension(extension))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, ethers.ZeroHash);
+      await expect(escrow.connect(admin).setExtension(other.address))
+        .to.be.revertedWithCustomError(escrow, "InvalidExtension")
+        .withArgs(other.address);
+
+      await expect(escrow.connect(admin).setExtension(extension))
+        .to.emit(escrow, "ExtensionUpdated")
+        .withArgs(extension);
+      // Deals are read through the new extension from the proxy's storage
+      expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+    });
+
+    it("should reject an upgrade that moves Deal storage", async function () {
+      const Bad = await ethers.getContractFactory("TestEscrowBadLayout");
+      await expect(upgrades.upgradeProxy(await escrow.getAddress(), Bad.connect(admin), { kind: "uups", call: "initializeV2" }))
+        .to.be.rejectedWith(/New storage layout is incompatible/);
+    });
+  });
+
+  describe("Emergency Refund", function () {
+    it("should allow admin emergency refund with NFT", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+
+      await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.emit(escrow, "NftRefunded")
+        .and.to.emit(escrow, "EscrowCancelled");
+
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+    });
+
+    it("should allow admin emergency refund without NFT", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await expect(escrow.connect(admin).emergencyRefund(1))
+        .to.emit(escrow, "EscrowCancelled")
+        .and.to.not.emit(escrow, "NftRefunded");
+    });
+
+    it("should reject emergency refund from non-admin", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await expect(
+        escrow.connect(seller).emergencyRefund(1)
+      ).to.be.reverted;
+    });
+
+    it("should reject emergency refund after payment", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).confirmAgreement(1, correlation, agreementToken);
+      await escrow.connect(operator).confirmPayment(1, "RXN-123", priceCents, "AUD");
+
+      await expect(
+        escrow.connect(admin).emergencyRefund(1)
+      ).to.be.revertedWithCustomError(escrow, "WrongState");
+    });
+  });
+
+  describe("View Functions", function () {
+    it("should return correct next ID", async function () {
+      expect(await escrow.nextId()).to.equal(1);
+
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      expect(await escrow.nextId()).to.equal(2);
+    });
+
+    it("should return correct deal data", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      const deal = await escrow.getDeal(1);
+      expect(deal.seller).to.equal(seller.address);
+      expect(deal.buyer).to.equal(buyer.address);
+      expect(deal.nft).to.equal(await nft.getAddress());
+      expect(deal.tokenId).to.equal(tokenId);
+      expect(deal.priceCents).to.equal(priceCents);
+      expect(deal.state).to.equal(State.Opened);
+    });
+
+    it("should return correct canRefund status", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+
+      expect(await escrow.canRefund(1)).to.be.false;
+
+      await time.increase(7 * 24 * 60 * 60);
+
+      expect(await escrow.canRefund(1)).to.be.true;
+    });
+  });
+
+  describe("Deal Enumeration", function () {
+    beforeEach(async function () {
+      await nft.connect(seller).mint(seller.address);
+      await nft.connect(seller).mint(seller.address);
+      const nftAddress = await nft.getAddress();
+
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, 1, priceCents, "INV-1");
+      await escrow.connect(seller).openEscrow(other.address, nftAddress, 2, priceCents, "INV-2");
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, 3, priceCents, "INV-3");
+      await escrow.connect(seller).cancel(2);
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, 2, priceCents, "INV-4");
+    });
+
+    it("should page through deals by seller, buyer and NFT", async function () {
+      const nftAddress = await nft.getAddress();
+
+      expect(await escrow.dealsBySeller(seller.address, 0, 3)).to.deep.equal([[1n, 2n, 3n], 4n]);
+      expect(await escrow.dealsBySeller(seller.address, 3, 3)).to.deep.equal([[4n], 4n]);
+      expect(await escrow.dealsBySeller(seller.address, 9, 3)).to.deep.equal([[], 4n]);
+      expect(await escrow.dealsByBuyer(buyer.address, 1, 10)).to.deep.equal([[3n, 4n], 3n]);
+      expect(await escrow.dealsByBuyer(seller.address, 0, 10)).to.deep.equal([[], 0n]);
+      expect(await escrow.dealsByToken(nftAddress, 2, 0, 10)).to.deep.equal([[2n, 4n], 2n]);
+    });
+
+    it("should track the deals in each state", async function () {
+      await nft.connect(seller).approve(await escrow.getAddress(), 1);
+      await escrow.connect(seller).depositNFT(1, "INV-1");
+
+      const [opened, total] = await escrow.dealsByState(State.Opened, 0, 10);
+      expect(total).to.equal(2);
+      expect([...opened]).to.have.members([3n, 4n]);
+      expect(await escrow.dealsByState(State.Cancelled, 0, 10)).to.deep.equal([[2n], 1n]);
+      expect(await escrow.dealsByState(State.NftDeposited, 0, 10)).to.deep.equal([[1n], 1n]);
+
+      await escrow.connect(operator).confirmAgreement(1, "INV-1", agreementToken);
+      expect(await escrow.dealsByState(State.NftDeposited, 0, 10)).to.deep.equal([[], 0n]);
+      expect(await escrow.dealsByState(State.AgreementConfirmed, 0, 10)).to.deep.equal([[1n], 1n]);
+      expect((await escrow.dealsByState(State.Opened, 1, 10))[0]).to.have.length(1);
+    });
+
+    it("should return full deals in one call", async function () {
+      const deals = await escrow.getDeals([4, 2, 99]);
+
+      expect(deals).to.have.length(3);
+      expect(deals[0]).to.deep.equal(await escrow.getDeal(4));
+      expect(deals[1].state).to.equal(State.Cancelled);
+      expect(deals[1].buyer).to.equal(other.address);
+      expect(deals[2].state).to.equal(State.None);
+    });
+  });
+
+  describe("NFT Ownership Validation", function () {
+    it("should reject deposit if seller doesn't own NFT", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      // Transfer NFT away
+      await nft.connect(seller).transferFrom(seller.address, other.address, tokenId);
+
+      await expect(
+        escrow.connect(seller).depositNFT(1, correlation)
+      ).to.be.revertedWithCustomError(escrow, "InvalidNFT");
+    });
+
+    it("should reject deposit if NFT not approved", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await expect(
+        escrow.connect(seller).depositNFT(1, correlation)
+      ).to.be.revertedWithCustomError(escrow, "NotApproved");
+    });
+  });
+
+  describe("Correlation ID Verification", function () {
+    it("should reject deposit with wrong correlation ID", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+
+      // The contract's MismatchedCorrelation check currently triggers the EmptyString check 
+      // if the string is empty, but for a wrong, non-empty string, MismatchedCorrelation is expected.
+      // Based on the contract's logic for a non-empty string:
+      await expect(
+        escrow.connect(seller).depositNFT(1, "WRONG-ID")
+      ).to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+    });
+
+    it("should reject confirmAgreement with wrong correlation ID", async function () {
+      await escrow.connect(seller).openEscrow(
+        buyer.address,
+        await nft.getAddress(),
+        tokenId,
+        priceCents,
+        correlation
+      );
+
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+
+      await expect(
+        escrow.connect(operator).confirmAgreement(1, "WRONG-ID", agreementToken)
       ).to.be.revertedWithCustomError(escrow, "MismatchedCorrelation");
+    })
+    it("should reject a correlation ID already used by an active deal", async function () {
+      const nftAddress = await nft.getAddress();
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, tokenId, priceCents, correlation);
+      expect(await escrow.dealIdByCorrelation(ethers.id(correlation))).to.equal(1);
+
+      await expect(escrow.connect(seller).openEscrow(other.address, nftAddress, 2, priceCents, correlation))
+        .to.be.revertedWithCustomError(escrow, "CorrelationIdInUse")
+        .withArgs(1);
+
+      // A failed deal can still be retried, so it keeps its correlation ID
+      await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+      await escrow.connect(seller).depositNFT(1, correlation);
+      await escrow.connect(operator).reportAgreementRejected(1, ethers.encodeBytes32String("Declined"));
+      await expect(escrow.connect(seller).openEscrow(other.address, nftAddress, 2, priceCents, correlation))
+        .to.be.revertedWithCustomError(escrow, "CorrelationIdInUse");
+    });
+
+    it("should free a correlation ID once its deal is terminal", async function () {
+      const nftAddress = await nft.getAddress();
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, tokenId, priceCents, correlation);
+      await escrow.connect(seller).cancel(1);
+      expect(await escrow.dealIdByCorrelation(ethers.id(correlation))).to.equal(0);
+
+      await escrow.connect(seller).openEscrow(buyer.address, nftAddress, tokenId, priceCents, correlation);
+      expect(await escrow.dealIdByCorrelation(ethers.id(correlation))).to.equal(2);
     });
   });
 });
@@ -607,8 +2302,7 @@ describe("Additional Edge Cases", function () {
     await nft.connect(seller).mint(seller.address);
 
     // Deploy Escrow
-    const Escrow = await ethers.getContractFactory("Escrow");
-    escrow = await Escrow.connect(admin).deploy(operator.address);
+    escrow = await deployEscrow(admin, operator.address);
     await escrow.waitForDeployment();
   });
 
@@ -0,0 +1,914 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Relayer } = require("../relayer/relayer");
+const { deployEscrow } = require("../scripts/escrow");
+const { MockQuickStream } = require("../relayer/mock-quickstream");
+const { QuickStreamClient, AgreementStatus, TransactionStatus } = require("../relayer/quickstream");
+const { RelayerStore, JobStatus } = require("../relayer/store");
+const { signPriceAmendment } = require("../relayer/attestations");
+const { commit, revealFromFile } = require("../relayer/commitments");
+
+const State = {
+  NftDeposited: 2,
+  AgreementConfirmed: 3,
+  Paid: 4,
+  Refunded: 6,
+  Failed: 7,
+  Disputed: 8,
+  Expired: 9,
+  PaidPendingRelease: 10,
+};
+
+const silent = { info() {}, warn() {}, error() {} };
+
+describe("PayTo relayer", function () {
+  let seller, buyer, operator, admin;
+  let nft, escrow, mock, relayer;
+  const tokenId = 1n;
+  const correlation = "INV-123456790";
+  const priceCents = 100_000;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, operator] = await ethers.getSigners();
+
+    const NFT = await ethers.getContractFactory("TestERC721");
+    nft = await NFT.connect(seller).deploy();
+    await nft.connect(seller).mint(seller.address);
+
+    escrow = await deployEscrow(admin, operator.address);
+
+    mock = new MockQuickStream();
+    await mock.start();
+    relayer = new Relayer({
+      escrow: escrow.connect(operator),
+      quickstream: new QuickStreamClient({ baseUrl: mock.baseUrl, timeoutMs: 500 }),
+      customers: { [buyer.address]: "CUST-1" },
+      startBlock: await ethers.provider.getBlockNumber(),
+      logger: silent,
+    });
+
+    await escrow
+      .connect(seller)
+      .openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+    await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+    await escrow.connect(seller).depositNFT(1, correlation);
+  });
+
+  afterEach(async function () {
+    await mock.stop();
+  });
+
+  // Runs the relayer until the PayTo transaction for the deal has been submitted
+  async function submitPayment() {
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    await relayer.poll();
+    return mock.transactionByCorrelation(correlation);
+  }
+
+  it("should drive a deal from deposit to release", async function () {
+    await relayer.poll();
+    const agreement = mock.agreements.get("PTA-1");
+    expect(agreement.customerId).to.equal("CUST-1");
+    expect(agreement.agreementReference).to.equal(correlation);
+    expect(agreement.paymentDetails.amount).to.equal("1000.00");
+
+    // Payer authorises the mandate in their banking app
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+
+    // PayToPaymentRequested is picked up on the next poll
+    await relayer.poll();
+    const txn = mock.transactionByCorrelation(correlation);
+    expect(txn.agreementToken).to.equal("PTA-1");
+    expect(txn.principalAmount).to.equal("1000.00");
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+  });
+
+  it("should not confirm an agreement that is still awaiting authorisation", async function () {
+    await relayer.poll();
+    await relayer.poll();
+
+    expect((await escrow.getDeal(1)).state).to.equal(State.NftDeposited);
+    expect(mock.agreements.size).to.equal(1);
+  });
+
+  it("should report an agreement the payer declined", async function () {
+    mock.injectFailure({ operation: "authoriseAgreement", type: "decline" });
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+
+    expect(mock.agreements.get("PTA-1").status).to.equal(AgreementStatus.Declined);
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Failed);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+    const [rejected] = await escrow.queryFilter(escrow.filters.AgreementRejected(1));
+    expect(ethers.decodeBytes32String(rejected.args.reason)).to.equal(AgreementStatus.Declined);
+  });
+
+  it("should request a new agreement when the seller retries", async function () {
+    mock.injectFailure({ operation: "authoriseAgreement", type: "decline" });
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+
+    await escrow.connect(seller).retryAgreement(1, correlation);
+    await relayer.poll();
+    await relayer.poll();
+
+    expect(mock.agreements.size).to.equal(2);
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.AwaitingAuthorisation, agreementToken: "PTA-2" });
+    mock.authoriseAgreement("PTA-2");
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+  });
+
+  it("should replace an agreement awaiting authorisation when the price is amended", async function () {
+    await relayer.poll();
+    expect(mock.agreements.get("PTA-1").paymentDetails.amount).to.equal("1000.00");
+
+    const amendment = { id: 1, correlationId: correlation, priceCents: 90_000 };
+    const bySeller = await signPriceAmendment(seller, escrow, amendment, { nonce: 1 });
+    const byBuyer = await signPriceAmendment(buyer, escrow, amendment, { nonce: 1 });
+    await escrow.amendPrice(bySeller.attestation, bySeller.signature, byBuyer.signature);
+    await relayer.poll();
+
+    expect(mock.agreements.get("PTA-2").paymentDetails.amount).to.equal("900.00");
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.AwaitingAuthorisation, agreementToken: "PTA-2" });
+    mock.authoriseAgreement("PTA-2");
+    await relayer.poll();
+    await relayer.poll();
+    expect(mock.transactionByCorrelation(correlation).principalAmount).to.equal("900.00");
+  });
+
+  it("should leave the NFT in escrow when the payment is declined", async function () {
+    const txn = await submitPayment();
+    mock.injectFailure({ operation: "settleTransaction", type: "decline" });
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Failed);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+    expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+  });
+
+  it("should collect the payment again when the seller retries", async function () {
+    const txn = await submitPayment();
+    mock.injectFailure({ operation: "settleTransaction", type: "decline" });
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    await escrow.connect(seller).retryPayment(1, correlation, "PTA-1");
+    await relayer.poll();
+    const retried = mock.transactionByCorrelation(correlation);
+    expect(retried.receiptNumber).to.not.equal(txn.receiptNumber);
+
+    await mock.settleTransaction(retried.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+  });
+
+  it("should hold collection while the agreement is suspended and collect again on resume", async function () {
+    const txn = await submitPayment();
+    await escrow.connect(operator).suspendAgreement(1, ethers.encodeBytes32String("PAYER_SUSPENDED"));
+    await relayer.poll();
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Suspended);
+
+    await escrow.connect(operator).resumeAgreement(1, correlation, "PTA-1", ethers.encodeBytes32String("PAYER_RESUMED"));
+    await relayer.poll();
+    // The payment submitted before the suspension is still pending: it is followed, not requested again
+    expect(relayer.store.deal(1)).to.include({
+      status: JobStatus.PaymentSubmitted,
+      paymentAttempt: 1,
+      receiptNumber: txn.receiptNumber,
+    });
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    expect(mock.transactions.size).to.equal(1);
+  });
+
+  it("should confirm a payment that settled while the agreement was suspended", async function () {
+    const txn = await submitPayment();
+    await escrow.connect(operator).suspendAgreement(1, ethers.encodeBytes32String("PAYER_SUSPENDED"));
+    await relayer.poll();
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+
+    await escrow.connect(operator).resumeAgreement(1, correlation, "PTA-1", ethers.encodeBytes32String("PAYER_RESUMED"));
+    await relayer.poll();
+    await relayer.poll();
+
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    // The buyer is charged once
+    expect([...mock.transactions.values()].map((t) => t.status)).to.deep.equal([TransactionStatus.Approved]);
+  });
+
+  it("should collect the payment again on resume when it failed while suspended", async function () {
+    const txn = await submitPayment();
+    await escrow.connect(operator).suspendAgreement(1, ethers.encodeBytes32String("PAYER_SUSPENDED"));
+    await relayer.poll();
+    await mock.declineTransaction(txn.receiptNumber);
+
+    await escrow.connect(operator).resumeAgreement(1, correlation, "PTA-1", ethers.encodeBytes32String("PAYER_RESUMED"));
+    await relayer.poll();
+    const job = relayer.store.deal(1);
+    expect(job).to.include({ status: JobStatus.PaymentSubmitted, paymentAttempt: 2 });
+    expect(job.receiptNumber).to.not.equal(txn.receiptNumber);
+
+    await mock.settleTransaction(job.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+  });
+
+  it("should flag a payment that settles after the deal was refunded", async function () {
+    const txn = await submitPayment();
+    await escrow.connect(admin).emergencyRefund(1);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.PaymentSubmitted);
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.RefundDue);
+    expect(relayer.store.hasReceipt(txn.receiptNumber)).to.be.true;
+    expect((await escrow.getDeal(1)).state).to.equal(State.Refunded);
+  });
+
+  it("should not release the NFT when QuickStream settles the wrong amount", async function () {
+    const txn = await submitPayment();
+    mock.injectFailure({ operation: "settleTransaction", type: "wrongAmount", deltaCents: -500 });
+    await mock.settleTransaction(txn.receiptNumber);
+    expect(txn.principalAmount).to.equal("995.00");
+
+    await relayer.poll();
+
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Failed, reason: "AMOUNT_MISMATCH" });
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+    expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+  });
+
+  it("should reverse a payment recalled within the settlement window", async function () {
+    await escrow.connect(admin).setSettlementWindow(3600);
+    const txn = await submitPayment();
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.PaidPendingRelease);
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.ReleasePending);
+
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.ReleasePending);
+
+    await mock.declineTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Reversed, reason: "Declined" });
+    expect(relayer.store.deal(1).payout).to.be.undefined;
+    expect((await escrow.getDeal(1)).state).to.equal(State.Refunded);
+    expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+  });
+
+  it("should release the NFT once the settlement window has passed", async function () {
+    await escrow.connect(admin).setSettlementWindow(3600);
+    const txn = await submitPayment();
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    expect(relayer.store.deal(1).payout).to.be.undefined;
+
+    await time.increase(3600);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Paid);
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+
+    // The payout instruction comes with the release
+    await relayer.poll();
+    expect(relayer.store.deal(1).payout.seller).to.deep.equal({ account: seller.address, cents: "100000" });
+  });
+
+  it("should bill in the deal currency and fail a payment settled in another", async function () {
+    const txn = await submitPayment();
+    expect(txn.currency).to.equal("AUD");
+    mock.injectFailure({ operation: "settleTransaction", type: "wrongCurrency" });
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Failed, reason: "CURRENCY_MISMATCH" });
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+  });
+
+  it("should drop the agreement when the buyer declines before authorising it", async function () {
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.AwaitingAuthorisation, agreementToken: "PTA-1" });
+
+    await escrow.connect(buyer).buyerDecline(1);
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Withdrawn, reason: "buyer declined" });
+
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Withdrawn);
+    expect(await nft.ownerOf(tokenId)).to.equal(seller.address);
+  });
+
+  it("should record an offer that expired before deposit", async function () {
+    const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+    const deadline = (await time.latest()) + 3600;
+    await escrow
+      .connect(seller)
+      .getFunction(overload.format())(buyer.address, await nft.getAddress(), 2n, priceCents, "INV-2", {
+        agreementTimeout: 0,
+        paymentTimeout: 0,
+        instalments: 0,
+        instalmentInterval: 0,
+        currency: "0x000000",
+        depositDeadline: deadline,
+        requireBuyerAcceptance: false,
+        claimRelease: false,
+        hashOnly: false,
+      });
+    await time.increase(3601);
+    await escrow.connect(buyer).markExpired(2);
+
+    await relayer.poll();
+    expect(relayer.store.deal(2)).to.include({ status: JobStatus.Expired });
+    expect((await escrow.getDeal(2)).state).to.equal(State.Expired);
+  });
+
+  it("should relay a hash-only deal from the raw values disclosed off-chain", async function () {
+    const salt = ethers.id("deal 2 salt");
+    const privateCorrelation = "INV-PRIVATE-2";
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reveals-"));
+    const revealsFile = path.join(dir, "reveals.json");
+    relayer.reveal = revealFromFile(revealsFile);
+
+    await nft.connect(seller).mint(seller.address);
+    const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+    await escrow
+      .connect(seller)
+      .getFunction(overload.format())(buyer.address, await nft.getAddress(), 2n, priceCents, commit(privateCorrelation, salt), {
+        agreementTimeout: 0,
+        paymentTimeout: 0,
+        instalments: 0,
+        instalmentInterval: 0,
+        currency: "0x000000",
+        depositDeadline: 0,
+        requireBuyerAcceptance: false,
+        claimRelease: false,
+        hashOnly: true,
+      });
+    await nft.connect(seller).approve(await escrow.getAddress(), 2n);
+    await escrow.connect(seller).depositNFT(2, commit(privateCorrelation, salt));
+
+    // Parked until the seller's disclosure arrives, without holding up deal 1
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.AwaitingReveal);
+    expect(mock.agreements.get("PTA-1").agreementReference).to.equal(correlation);
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.AwaitingReveal);
+
+    fs.writeFileSync(revealsFile, JSON.stringify({ [commit(privateCorrelation, salt)]: { value: privateCorrelation, salt } }));
+    await relayer.poll();
+    fs.rmSync(dir, { recursive: true, force: true });
+    expect(mock.agreements.get("PTA-2").agreementReference).to.equal(privateCorrelation);
+
+    mock.authoriseAgreement("PTA-2");
+    await relayer.poll();
+    await relayer.poll();
+    const txn = mock.transactionByCorrelation(privateCorrelation);
+    expect(txn.agreementToken).to.equal("PTA-2");
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(2)).state).to.equal(State.Paid);
+
+    const [paid] = await escrow.queryFilter(escrow.filters.PaymentConfirmed(2));
+    expect(paid.args.receiptReference).to.equal(commit(txn.receiptNumber, salt));
+    const logData = (await escrow.queryFilter("*")).map((log) => log.data).join("");
+    for (const raw of [privateCorrelation, "PTA-2", txn.receiptNumber]) {
+      expect(logData).to.not.include(ethers.hexlify(ethers.toUtf8Bytes(raw)).slice(2));
+    }
+  });
+
+  it("should pause payment confirmation while a deal is disputed", async function () {
+    const txn = await submitPayment();
+    await escrow.connect(buyer).raiseDispute(1, ethers.id("Item not as described"));
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Disputed, disputedBy: buyer.address });
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.Disputed);
+
+    await escrow.connect(admin).grantRole(await escrow.ARBITER_ROLE(), admin.address);
+    await escrow.connect(admin).resolveDispute(1, 1);
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.RefundDue, outcome: 1 });
+    expect(relayer.store.deal(1).receiptNumber).to.equal(txn.receiptNumber);
+  });
+
+  it("should record a payment submitted before the dispute once the arbiter releases to the buyer", async function () {
+    await submitPayment();
+    await escrow.connect(buyer).raiseDispute(1, ethers.id("Item not as described"));
+    await relayer.poll();
+
+    await escrow.connect(admin).grantRole(await escrow.ARBITER_ROLE(), admin.address);
+    await escrow.connect(admin).resolveDispute(1, 0);
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.PaymentSubmitted, outcome: 0 });
+
+    await mock.settleTransaction(relayer.store.deal(1).receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Paid);
+  });
+
+  it("should close the job of a dispute raised before any payment", async function () {
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    await escrow.connect(buyer).raiseDispute(1, ethers.id("Item not as described"));
+    await escrow.connect(admin).grantRole(await escrow.ARBITER_ROLE(), admin.address);
+    await escrow.connect(admin).resolveDispute(1, 1);
+    await relayer.poll();
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.Resolved, outcome: 1 });
+  });
+
+  it("should hold confirmations and payment collection while the escrow is paused", async function () {
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await escrow.connect(admin).pause(await escrow.PAUSE_CONFIRMATIONS());
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.NftDeposited);
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.AwaitingAuthorisation);
+
+    await escrow.connect(admin).unpause(await escrow.PAUSE_ALL());
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+
+    await escrow.connect(admin).pause(await escrow.PAUSE_CONFIRMATIONS());
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.PaymentScheduled);
+    expect(mock.transactionByCorrelation(correlation)).to.equal(undefined);
+
+    await escrow.connect(admin).unpause(await escrow.PAUSE_ALL());
+    await relayer.poll();
+    await mock.settleTransaction(mock.transactionByCorrelation(correlation).receiptNumber);
+    await relayer.poll();
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+  });
+
+  it("should collect each instalment when it falls due", async function () {
+    const DAY = 24 * 60 * 60;
+    await nft.connect(seller).mint(seller.address);
+    const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+    await escrow
+      .connect(seller)
+      .getFunction(overload.format())(buyer.address, await nft.getAddress(), 2n, priceCents, "INV-2", {
+        agreementTimeout: 0,
+        paymentTimeout: 0,
+        instalments: 2,
+        instalmentInterval: DAY,
+        currency: "0x000000",
+        depositDeadline: 0,
+        requireBuyerAcceptance: false,
+        claimRelease: false,
+        hashOnly: false,
+      });
+    await nft.connect(seller).approve(await escrow.getAddress(), 2n);
+    await escrow.connect(seller).depositNFT(2, "INV-2");
+
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-2");
+    await relayer.poll();
+    await relayer.poll();
+    const first = mock.transactionByCorrelation("INV-2");
+    expect(first.principalAmount).to.equal("500.00");
+
+    await mock.settleTransaction(first.receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.InstalmentPaid);
+
+    // The second instalment is requested on-chain but not collected before its due date
+    await relayer.poll();
+    expect(relayer.store.deal(2)).to.include({ status: JobStatus.PaymentScheduled, instalment: 2 });
+
+    await time.increase(DAY);
+    await relayer.poll();
+    const second = mock.transactionByCorrelation("INV-2");
+    expect(second.receiptNumber).to.not.equal(first.receiptNumber);
+
+    await mock.settleTransaction(second.receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.Paid);
+    expect(await nft.ownerOf(2n)).to.equal(buyer.address);
+  });
+
+  it("should not collect a scheduled instalment once the deal was refunded", async function () {
+    const DAY = 24 * 60 * 60;
+    await nft.connect(seller).mint(seller.address);
+    const overload = escrow.interface.fragments.find((f) => f.name === "openEscrow" && f.inputs.length === 6);
+    await escrow
+      .connect(seller)
+      .getFunction(overload.format())(buyer.address, await nft.getAddress(), 2n, priceCents, "INV-2", {
+        agreementTimeout: 0,
+        paymentTimeout: 0,
+        instalments: 2,
+        instalmentInterval: DAY,
+        currency: "0x000000",
+        depositDeadline: 0,
+        requireBuyerAcceptance: false,
+        claimRelease: false,
+        hashOnly: false,
+      });
+    await nft.connect(seller).approve(await escrow.getAddress(), 2n);
+    await escrow.connect(seller).depositNFT(2, "INV-2");
+
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-2");
+    await relayer.poll();
+    await relayer.poll();
+    const first = mock.transactionByCorrelation("INV-2");
+    await mock.settleTransaction(first.receiptNumber);
+    await relayer.poll();
+    await relayer.poll();
+    expect(relayer.store.deal(2)).to.include({ status: JobStatus.PaymentScheduled, instalment: 2 });
+
+    // Not charged on the deal's state alone, before the relayer has seen NftRefunded
+    relayer.confirmations = 2;
+    await escrow.connect(admin).emergencyRefund(2);
+    await time.increase(DAY);
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.PaymentScheduled);
+    expect(mock.transactionByCorrelation("INV-2").receiptNumber).to.equal(first.receiptNumber);
+
+    await mine();
+    await relayer.poll();
+    expect(relayer.store.deal(2).status).to.equal(JobStatus.Refunded);
+  });
+
+  it("should have a separate submitter pay for signed confirmations", async function () {
+    const [, , , , submitter] = await ethers.getSigners();
+    relayer.submitter = submitter;
+
+    const txn = await submitPayment();
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    for (const event of [escrow.filters.AgreementConfirmed(), escrow.filters.PaymentConfirmed()]) {
+      const [log] = await escrow.queryFilter(event);
+      expect((await log.getTransaction()).from).to.equal(submitter.address);
+    }
+  });
+
+  it("should wait for a second operator's relayer under a payment quorum", async function () {
+    const [, , , , operator2] = await ethers.getSigners();
+    await escrow.connect(admin).grantRole(await escrow.OPERATOR_ROLE(), operator2.address);
+    await escrow.connect(admin).setPaymentQuorum(2);
+    const second = new Relayer({
+      escrow: escrow.connect(operator2),
+      quickstream: new QuickStreamClient({ baseUrl: mock.baseUrl }),
+      customers: { [buyer.address]: "CUST-1" },
+      startBlock: relayer.startBlock,
+      logger: silent,
+    });
+
+    // Both relayers use the same idempotency keys, so QuickStream sees one agreement and one payment
+    const txn = await submitPayment();
+    await second.poll();
+    expect(mock.agreements.size).to.equal(1);
+    expect(mock.transactions.size).to.equal(1);
+
+    await mock.settleTransaction(txn.receiptNumber);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.AwaitingQuorum);
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+
+    await second.poll();
+    expect(second.store.deal(1).status).to.equal(JobStatus.Paid);
+    await relayer.poll();
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.Paid);
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+  });
+
+  it("should retry an agreement request after an API error or timeout", async function () {
+    mock.injectFailure({ operation: "createAgreement", type: "error", status: 503 });
+    await relayer.poll();
+    expect(relayer.store.deal(1).error).to.include("HTTP 503");
+
+    mock.injectFailure({ operation: "createAgreement", type: "timeout" });
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(0);
+    expect(relayer.store.deal(1).retryEvents).to.have.length(1);
+
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(1);
+    expect(relayer.store.deal(1)).to.include({ status: JobStatus.AwaitingAuthorisation, error: null });
+    expect(relayer.store.deal(1).retryEvents).to.be.empty;
+  });
+
+  it("should keep relaying other deals while one deal's event fails", async function () {
+    const [, , , , otherBuyer] = await ethers.getSigners();
+    // Deal 1's buyer is not mapped to a QuickStream customer; deal 2, opened after it, is fine
+    relayer.customers = { [otherBuyer.address.toLowerCase()]: "CUST-2" };
+    await nft.connect(seller).mint(seller.address);
+    await escrow.connect(seller).openEscrow(otherBuyer.address, await nft.getAddress(), 2n, priceCents, "INV-2");
+    await nft.connect(seller).approve(await escrow.getAddress(), 2n);
+    await escrow.connect(seller).depositNFT(2, "INV-2");
+
+    await relayer.poll();
+    expect(relayer.store.deal(1).error).to.include("No QuickStream customer");
+    expect(relayer.store.nextBlock).to.equal((await ethers.provider.getBlockNumber()) + 1);
+    expect(mock.agreements.get("PTA-1").agreementReference).to.equal("INV-2");
+
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    expect((await escrow.getDeal(2)).state).to.equal(State.AgreementConfirmed);
+
+    relayer.customers = { ...relayer.customers, [buyer.address.toLowerCase()]: "CUST-1" };
+    await relayer.poll();
+    expect(mock.agreements.get("PTA-2").agreementReference).to.equal(correlation);
+    expect(relayer.store.deal(1).error).to.equal(null);
+  });
+});
+
+describe("Relayer checkpointing", function () {
+  let seller, buyer, operator, admin;
+  let nft, escrow, mock, client, storeFile, startBlock;
+  const priceCents = 100_000;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, operator] = await ethers.getSigners();
+
+    const NFT = await ethers.getContractFactory("TestERC721");
+    nft = await NFT.connect(seller).deploy();
+    await nft.connect(seller).mint(seller.address);
+    await nft.connect(seller).mint(seller.address);
+
+    escrow = await deployEscrow(admin, operator.address);
+    startBlock = await ethers.provider.getBlockNumber();
+
+    mock = new MockQuickStream();
+    client = new QuickStreamClient({ baseUrl: await mock.start() });
+    storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "state.json");
+  });
+
+  afterEach(async function () {
+    await mock.stop();
+    fs.rmSync(path.dirname(storeFile), { recursive: true, force: true });
+  });
+
+  function newRelayer(options = {}) {
+    return new Relayer({
+      escrow: escrow.connect(operator),
+      quickstream: client,
+      store: new RelayerStore(storeFile),
+      customers: { [buyer.address]: "CUST-1" },
+      startBlock,
+      logger: silent,
+      ...options,
+    });
+  }
+
+  async function openAndDeposit(tokenId, correlation) {
+    await escrow
+      .connect(seller)
+      .openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+    await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+    await escrow.connect(seller).depositNFT(await escrow.nextId() - 1n, correlation);
+  }
+
+  it("should resume from the persisted cursor after a restart", async function () {
+    await openAndDeposit(1n, "INV-1");
+    await newRelayer().poll();
+    const cursor = new RelayerStore(storeFile).nextBlock;
+    expect(cursor).to.equal((await ethers.provider.getBlockNumber()) + 1);
+
+    // A fresh process re-reads the file and does not create the agreement again
+    const restarted = newRelayer();
+    mock.authoriseAgreement("PTA-1");
+    await restarted.poll();
+
+    expect(mock.agreements.size).to.equal(1);
+    expect(restarted.store.deal(1).status).to.equal(JobStatus.AgreementConfirmed);
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+  });
+
+  it("should reuse the idempotency key when a crash interrupted an agreement request", async function () {
+    await openAndDeposit(1n, "INV-1");
+    const crashing = newRelayer({
+      quickstream: {
+        async createPayToAgreement(...args) {
+          await client.createPayToAgreement(...args);
+          throw new Error("process killed before the response was recorded");
+        },
+      },
+    });
+    await crashing.poll();
+    expect(new RelayerStore(storeFile).deal(1)).to.include({
+      status: JobStatus.AgreementRequested,
+      error: "process killed before the response was recorded",
+    });
+
+    const restarted = newRelayer();
+    await restarted.poll();
+
+    expect(mock.agreements.size).to.equal(1);
+    expect(restarted.store.deal(1)).to.include({
+      status: JobStatus.AwaitingAuthorisation,
+      agreementToken: "PTA-1",
+    });
+  });
+
+  it("should wait for the configured confirmation depth", async function () {
+    await openAndDeposit(1n, "INV-1");
+    const relayer = newRelayer({ confirmations: 2 });
+
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(0);
+
+    await mine(2);
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(1);
+  });
+
+  it("should fetch logs at most blockRange blocks at a time", async function () {
+    await openAndDeposit(1n, "INV-1");
+    await openAndDeposit(2n, "INV-2");
+    const relayer = newRelayer({ blockRange: 2 });
+    await relayer.poll();
+
+    const head = await ethers.provider.getBlockNumber();
+    // One checkpoint per range scanned, each ending at most 2 blocks after the previous
+    const scanned = relayer.store.checkpoints.map((c) => c.number);
+    scanned.forEach((number, i) => expect(number).to.equal(Math.min(startBlock + 1 + 2 * i, head)));
+    expect(scanned.at(-1)).to.equal(head);
+    expect(mock.agreements.size).to.equal(2);
+  });
+
+  it("should re-scan blocks replaced by a reorg", async function () {
+    await openAndDeposit(1n, "INV-1");
+    const warnings = [];
+    const relayer = newRelayer({ logger: { ...silent, warn: (msg) => warnings.push(msg) } });
+    await relayer.poll();
+
+    // Deal 2 is deposited on a branch that gets dropped
+    const snapshot = await network.provider.send("evm_snapshot");
+    const forkPoint = await ethers.provider.getBlockNumber();
+    await openAndDeposit(2n, "INV-2");
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(2);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await mine(5);
+    await relayer.poll();
+
+    expect(warnings).to.deep.equal([`reorg detected: re-scanning from block ${forkPoint + 1}`]);
+    expect(relayer.store.nextBlock).to.equal((await ethers.provider.getBlockNumber()) + 1);
+
+    // The deposit lands again on the new branch; the existing agreement is reused
+    await openAndDeposit(2n, "INV-2");
+    await relayer.poll();
+    expect(mock.agreements.size).to.equal(2);
+  });
+});
+
+describe("Mock QuickStream", function () {
+  let mock, client, receiver, received;
+
+  beforeEach(async function () {
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+    mock = new MockQuickStream({ webhookUrl: `http://127.0.0.1:${receiver.address().port}/webhook` });
+    client = new QuickStreamClient({ baseUrl: await mock.start() });
+  });
+
+  afterEach(async function () {
+    await mock.stop();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  async function activeAgreement() {
+    const { agreementToken } = await client.createPayToAgreement("CUST-1", {
+      correlationId: "INV-1",
+      amountCents: 2_500,
+    });
+    mock.authoriseAgreement(agreementToken);
+    return agreementToken;
+  }
+
+  it("should reject payments against an agreement that is not active", async function () {
+    const { agreementToken } = await client.createPayToAgreement("CUST-1", {
+      correlationId: "INV-1",
+      amountCents: 2_500,
+    });
+
+    await expect(
+      client.createTransaction({ agreementToken, correlationId: "INV-1", amountCents: 2_500, currency: "AUD" })
+    ).to.be.rejectedWith("HTTP 422");
+  });
+
+  it("should key payments by endToEndId", async function () {
+    const agreementToken = await activeAgreement();
+    const params = { agreementToken, correlationId: "INV-1", amountCents: 2_500, currency: "AUD" };
+
+    const first = await client.createTransaction(params);
+    const second = await client.createTransaction(params);
+
+    expect(second.receiptNumber).to.equal(first.receiptNumber);
+    expect(mock.transactions.size).to.equal(1);
+  });
+
+  it("should fire a payment webhook on settlement", async function () {
+    const agreementToken = await activeAgreement();
+    const txn = await client.createTransaction({
+      agreementToken,
+      correlationId: "INV-1",
+      amountCents: 2_500,
+      currency: "AUD",
+    });
+    await mock.settleTransaction(txn.receiptNumber);
+
+    expect(received).to.have.length(1);
+    expect(received[0].eventType).to.equal("PAYMENT_SUCCEEDED");
+    expect(received[0].data).to.include({
+      receiptNumber: txn.receiptNumber,
+      endToEndId: "INV-1",
+      principalAmount: "25.00",
+      status: TransactionStatus.Approved,
+    });
+  });
+
+  it("should drop or duplicate webhooks on request", async function () {
+    const agreementToken = await activeAgreement();
+    const first = await client.createTransaction({
+      agreementToken,
+      correlationId: "INV-1",
+      amountCents: 2_500,
+      currency: "AUD",
+    });
+    const second = await client.createTransaction({
+      agreementToken,
+      correlationId: "INV-2",
+      amountCents: 2_500,
+      currency: "AUD",
+    });
+
+    mock.injectFailure({ operation: "webhook", type: "drop" });
+    await mock.settleTransaction(first.receiptNumber);
+    mock.injectFailure({ operation: "webhook", type: "duplicate" });
+    await mock.settleTransaction(second.receiptNumber);
+
+    expect(received.map((w) => w.data.endToEndId)).to.deep.equal(["INV-2", "INV-2"]);
+  });
+
+  it("should replay the original response for a repeated idempotency key", async function () {
+    const params = { correlationId: "INV-1", amountCents: 2_500 };
+    const first = await client.createPayToAgreement("CUST-1", params, { idempotencyKey: "key-1" });
+    const second = await client.createPayToAgreement("CUST-1", params, { idempotencyKey: "key-1" });
+    await client.createPayToAgreement("CUST-1", params, { idempotencyKey: "key-2" });
+
+    expect(second.agreementToken).to.equal(first.agreementToken);
+    expect(mock.agreements.size).to.equal(2);
+  });
+
+  it("should be scriptable over HTTP", async function () {
+    await fetch(`${mock.url}/__mock/failures`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ operation: "getAgreement", type: "error", status: 502 }),
+    });
+    const { agreementToken } = await client.createPayToAgreement("CUST-1", {
+      correlationId: "INV-1",
+      amountCents: 2_500,
+    });
+
+    await expect(client.getPayToAgreement(agreementToken)).to.be.rejectedWith("HTTP 502");
+
+    await fetch(`${mock.url}/__mock/agreements/${agreementToken}/authorise`, { method: "POST" });
+    expect((await client.getPayToAgreement(agreementToken)).status).to.equal(AgreementStatus.Active);
+  });
+});
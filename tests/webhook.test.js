@@ -0,0 +1,302 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { Relayer } = require("../relayer/relayer");
+const { deployEscrow } = require("../scripts/escrow");
+const { MockQuickStream } = require("../relayer/mock-quickstream");
+const { QuickStreamClient } = require("../relayer/quickstream");
+const { RelayerStore, JobStatus } = require("../relayer/store");
+const {
+  WebhookReceiver,
+  signWebhook,
+  verifyWebhook,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+} = require("../relayer/webhook");
+
+const State = {
+  AgreementConfirmed: 3,
+  Paid: 4,
+  Failed: 7,
+};
+
+const silent = { info() {}, warn() {}, error() {} };
+const secret = "whsec_test";
+
+describe("Webhook signature verification", function () {
+  const body = JSON.stringify({ eventType: "PAYMENT_SUCCEEDED" });
+  const now = 1_760_000_000;
+
+  function headers(timestamp, signature = signWebhook(secret, timestamp, body)) {
+    return { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signature };
+  }
+
+  it("should accept a fresh, correctly signed body", function () {
+    expect(verifyWebhook(secret, headers(now), body, { nowSec: now + 10 })).to.equal(null);
+  });
+
+  it("should reject a body signed with another secret", function () {
+    const forged = headers(now, signWebhook("other", now, body));
+    expect(verifyWebhook(secret, forged, body, { nowSec: now })).to.equal("invalid signature");
+  });
+
+  it("should reject a tampered body", function () {
+    expect(verifyWebhook(secret, headers(now), body.replace("SUCCEEDED", "FAILED"), { nowSec: now })).to.equal(
+      "invalid signature"
+    );
+  });
+
+  it("should reject a replay outside the tolerance window", function () {
+    expect(verifyWebhook(secret, headers(now), body, { nowSec: now + 301 })).to.equal("stale timestamp");
+  });
+
+  it("should reject a request without signature headers", function () {
+    expect(verifyWebhook(secret, {}, body, { nowSec: now })).to.equal("missing signature");
+  });
+});
+
+describe("Payment webhook receiver", function () {
+  let seller, buyer, operator, admin;
+  let nft, escrow, mock, receiver, relayer;
+  const tokenId = 1n;
+  const correlation = "INV-123456790";
+  const priceCents = 100_000;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, operator] = await ethers.getSigners();
+
+    const NFT = await ethers.getContractFactory("TestERC721");
+    nft = await NFT.connect(seller).deploy();
+    await nft.connect(seller).mint(seller.address);
+
+    escrow = await deployEscrow(admin, operator.address);
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const store = new RelayerStore();
+    receiver = new WebhookReceiver({
+      escrow: escrow.connect(operator),
+      secret,
+      store,
+      fromBlock: startBlock,
+      logger: silent,
+    });
+    mock = new MockQuickStream({ webhookUrl: await receiver.start(), webhookSecret: secret });
+    relayer = new Relayer({
+      escrow: escrow.connect(operator),
+      quickstream: new QuickStreamClient({ baseUrl: await mock.start() }),
+      store,
+      customers: { [buyer.address]: "CUST-1" },
+      startBlock,
+      paymentsViaWebhook: true,
+      logger: silent,
+    });
+
+    await escrow
+      .connect(seller)
+      .openEscrow(buyer.address, await nft.getAddress(), tokenId, priceCents, correlation);
+    await nft.connect(seller).approve(await escrow.getAddress(), tokenId);
+    await escrow.connect(seller).depositNFT(1, correlation);
+
+    // Agreement authorised and payment submitted
+    await relayer.poll();
+    mock.authoriseAgreement("PTA-1");
+    await relayer.poll();
+    await relayer.poll();
+  });
+
+  afterEach(async function () {
+    await mock.stop();
+    await receiver.stop();
+  });
+
+  function post(body, headers = {}) {
+    return fetch(receiver.url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body });
+  }
+
+  it("should confirm the payment when the signed webhook arrives", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    expect(relayer.store.deal(1).status).to.equal(JobStatus.PaymentSubmitted);
+
+    await mock.settleTransaction(txn.receiptNumber);
+
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.true;
+    expect(receiver.store.deal(1).status).to.equal(JobStatus.Paid);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address);
+  });
+
+  it("should confirm a duplicated webhook only once", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    mock.injectFailure({ operation: "webhook", type: "duplicate" });
+
+    await mock.settleTransaction(txn.receiptNumber);
+
+    const confirmations = await escrow.queryFilter(escrow.filters.PaymentConfirmed());
+    expect(confirmations).to.have.length(1);
+    expect(mock.webhooks).to.have.length(2);
+  });
+
+  it("should reject unsigned and replayed notifications", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    const body = JSON.stringify({
+      eventType: "PAYMENT_SUCCEEDED",
+      data: { ...txn, status: "Approved" },
+    });
+
+    expect((await post(body)).status).to.equal(401);
+
+    const stale = Math.floor(Date.now() / 1000) - 3_600;
+    const replay = await post(body, {
+      [TIMESTAMP_HEADER]: String(stale),
+      [SIGNATURE_HEADER]: signWebhook(secret, stale, body),
+    });
+    expect(replay.status).to.equal(401);
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+  });
+
+  it("should not release the NFT for a wrong settled amount", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    mock.injectFailure({ operation: "settleTransaction", type: "wrongAmount" });
+
+    await mock.settleTransaction(txn.receiptNumber);
+
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.false;
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+    expect(await nft.ownerOf(tokenId)).to.equal(await escrow.getAddress());
+  });
+
+  it("should report a failed payment notification on-chain", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    mock.injectFailure({ operation: "settleTransaction", type: "decline" });
+
+    await mock.settleTransaction(txn.receiptNumber);
+
+    expect(receiver.store.deal(1)).to.include({ status: JobStatus.Failed, reason: "Declined" });
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+  });
+
+  it("should not fail a retried payment on a redelivered or stale failure", async function () {
+    const first = mock.transactionByCorrelation(correlation);
+    mock.injectFailure({ operation: "settleTransaction", type: "decline" });
+    await mock.settleTransaction(first.receiptNumber);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+
+    await escrow.connect(seller).retryPayment(1, correlation, "PTA-1");
+    await relayer.poll();
+    const second = mock.transactionByCorrelation(correlation);
+    expect(second.receiptNumber).to.not.equal(first.receiptNumber);
+
+    function deliverFailure(receiptNumber) {
+      const body = JSON.stringify({ eventType: "PAYMENT_FAILED", data: { ...first, receiptNumber, status: "Declined" } });
+      const timestamp = Math.floor(Date.now() / 1000);
+      return post(body, { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body) });
+    }
+    expect(await (await deliverFailure(first.receiptNumber)).json()).to.deep.equal({ status: "duplicate" });
+    expect(await (await deliverFailure("RXN-EARLIER")).json()).to.deep.equal({ status: "ignored" });
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+    expect(receiver.store.deal(1)).to.include({ status: JobStatus.PaymentSubmitted, receiptNumber: second.receiptNumber });
+  });
+
+  it("should answer 503 while confirmations are paused", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    const body = JSON.stringify({ eventType: "PAYMENT_SUCCEEDED", data: { ...txn, status: "Approved" } });
+    function deliver() {
+      const timestamp = Math.floor(Date.now() / 1000);
+      return post(body, { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body) });
+    }
+
+    await escrow.connect(admin).pause(await escrow.PAUSE_CONFIRMATIONS());
+    expect((await deliver()).status).to.equal(503);
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.false;
+
+    // QuickStream redelivers once the pause is lifted
+    await escrow.connect(admin).unpause(await escrow.PAUSE_CONFIRMATIONS());
+    expect((await deliver()).status).to.equal(200);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+  });
+
+  it("should answer 503 for a payment that settles while the agreement is suspended", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    const body = JSON.stringify({ eventType: "PAYMENT_SUCCEEDED", data: { ...txn, status: "Approved" } });
+    function deliver() {
+      const timestamp = Math.floor(Date.now() / 1000);
+      return post(body, { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body) });
+    }
+
+    await escrow.connect(operator).suspendAgreement(1, ethers.encodeBytes32String("PAYER_SUSPENDED"));
+    expect((await deliver()).status).to.equal(503);
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.false;
+
+    await escrow.connect(operator).resumeAgreement(1, correlation, "PTA-1", ethers.encodeBytes32String("PAYER_RESUMED"));
+    expect((await deliver()).status).to.equal(200);
+    expect((await escrow.getDeal(1)).state).to.equal(State.Paid);
+  });
+
+  it("should answer 503 for a payment that settles while the deal is disputed", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    const body = JSON.stringify({ eventType: "PAYMENT_SUCCEEDED", data: { ...txn, status: "Approved" } });
+    function deliver() {
+      const timestamp = Math.floor(Date.now() / 1000);
+      return post(body, { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body) });
+    }
+
+    await escrow.connect(buyer).raiseDispute(1, ethers.id("Item not as described"));
+    expect((await deliver()).status).to.equal(503);
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.false;
+
+    await escrow.connect(admin).grantRole(await escrow.ARBITER_ROLE(), admin.address);
+    await escrow.connect(admin).resolveDispute(1, 1);
+    expect(await (await deliver()).json()).to.deep.equal({ status: "refund due" });
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.true;
+  });
+
+  it("should flag a payment that settles after the deal was refunded", async function () {
+    const txn = mock.transactionByCorrelation(correlation);
+    await escrow.connect(admin).emergencyRefund(1);
+
+    await mock.settleTransaction(txn.receiptNumber);
+
+    expect(receiver.store.deal(1).status).to.equal(JobStatus.RefundDue);
+    expect(receiver.store.hasReceipt(txn.receiptNumber)).to.be.true;
+  });
+
+  it("should answer 422 for an unknown correlation id", async function () {
+    const body = JSON.stringify({
+      eventType: "PAYMENT_SUCCEEDED",
+      data: { receiptNumber: "RXN-X", endToEndId: "INV-UNKNOWN", principalAmount: "1000.00", currency: "AUD" },
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await post(body, {
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body),
+    });
+
+    expect(res.status).to.equal(422);
+  });
+
+  it("should refuse an oversized body with 413", async function () {
+    const res = await post("x".repeat(65 * 1024));
+
+    expect(res.status).to.equal(413);
+    expect((await escrow.getDeal(1)).state).to.equal(State.AgreementConfirmed);
+  });
+
+  for (const [label, status, reason] of [
+    ["without a status", undefined, "FAILED"],
+    ["with a status longer than 31 bytes", "Declined by the issuing bank: insufficient funds", "Declined by the issuing bank: i"],
+  ]) {
+    it(`should report a failed payment notification ${label}`, async function () {
+      const txn = mock.transactionByCorrelation(correlation);
+      const body = JSON.stringify({ eventType: "PAYMENT_FAILED", data: { ...txn, status } });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const res = await post(body, {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhook(secret, timestamp, body),
+      });
+
+      expect(res.status).to.equal(200);
+      expect((await escrow.getDeal(1)).state).to.equal(State.Failed);
+      const [event] = await escrow.queryFilter(escrow.filters.PaymentFailed(1));
+      expect(ethers.decodeBytes32String(event.args.reason)).to.equal(reason);
+    });
+  }
+});